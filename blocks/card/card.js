@@ -22,7 +22,7 @@ export default function init(el) {
   if (!ctaPara) return;
   const cta = ctaPara.querySelector('a');
   if (!cta) return;
-  const hashAware = el.classList.contains('hash-aware');
+  const hashAware = el.options.variants.includes('hash-aware');
   if (hashAware) {
     cta.href = `${cta.getAttribute('href')}${window.location.hash}`;
   }
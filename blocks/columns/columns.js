@@ -9,7 +9,7 @@ function decorateCover(col) {
 }
 
 function decorateCols(el, cols) {
-  const hasCover = el.classList.contains('image-cover');
+  const hasCover = el.options.variants.includes('image-cover');
   for (const [idx, col] of cols.entries()) {
     col.classList.add('col', `col-${idx + 1}`);
     if (hasCover) decorateCover(col);
@@ -0,0 +1,111 @@
+import {
+  getConfig,
+  getConsent,
+  loadBlock,
+  setConsent,
+} from '../../scripts/ak.js';
+import { loadFragment } from '../fragment/fragment.js';
+import getPlaceholders from '../../scripts/utils/placeholders.js';
+
+const FRAGMENT_PATH = '/fragments/consent';
+
+// Used until a site authors its own consent fragment, texts come from placeholders
+const getDefaultContent = (placeholders) => `<div class="section">
+  <div class="default-content">
+    <p>${placeholders['consent-text'] || 'We use cookies to measure and improve this site and to show embedded media.'}</p>
+    <p class="btn-group">
+      <a class="btn btn-primary" href="#consent-accept">${placeholders['consent-accept'] || 'Accept all'}</a>
+      <a class="btn btn-secondary" href="#consent-reject">${placeholders['consent-reject'] || 'Reject all'}</a>
+    </p>
+  </div>
+</div>`;
+
+async function getContent(placeholders) {
+  const { locale } = getConfig();
+  try {
+    return await loadFragment(`${locale.prefix}${FRAGMENT_PATH}`);
+  } catch {
+    const content = document.createElement('div');
+    content.className = 'fragment-content';
+    content.innerHTML = getDefaultContent(placeholders);
+    return content;
+  }
+}
+
+/**
+ * Links to #consent-{category} become checkboxes labelled with the link text
+ * @param {Element} content the banner content
+ */
+function decorateCategories(content) {
+  const { consent: categories = [] } = getConfig();
+  const consent = getConsent();
+  for (const category of ['necessary', ...categories]) {
+    const link = content.querySelector(`a[href$="#consent-${category}"]`);
+    if (link) {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = category;
+      input.checked = category === 'necessary' || !!consent?.[category];
+      input.disabled = category === 'necessary';
+      const label = document.createElement('label');
+      label.className = 'consent-category';
+      label.append(input, link.textContent);
+      link.replaceWith(label);
+    }
+  }
+}
+
+function decorateActions(el, content) {
+  const { consent: categories = [] } = getConfig();
+  const actions = {
+    accept: () => categories,
+    reject: () => [],
+    save: () => [...content.querySelectorAll('.consent-category input:checked')]
+      .map((input) => input.name),
+  };
+  for (const [action, getGranted] of Object.entries(actions)) {
+    const link = content.querySelector(`a[href$="#consent-${action}"]`);
+    if (link) {
+      link.setAttribute('role', 'button');
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        setConsent(getGranted());
+        el.remove();
+      });
+    }
+  }
+}
+
+async function decorateBanner(el) {
+  const placeholders = await getPlaceholders();
+  el.setAttribute('role', 'region');
+  el.setAttribute('aria-label', placeholders['consent-label'] || 'Cookie consent');
+  const content = await getContent(placeholders);
+  decorateCategories(content);
+  decorateActions(el, content);
+  el.append(content);
+}
+
+/**
+ * A consent settings link (ex: in the footer) reopens the banner
+ * @param {Element} a the #consent-settings link
+ */
+function decorateSettings(a) {
+  a.setAttribute('role', 'button');
+  a.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (document.body.querySelector(':scope > .consent')) return;
+    const banner = document.createElement('div');
+    banner.className = 'consent';
+    document.body.append(banner);
+    loadBlock(banner);
+  });
+}
+
+export default async function init(el) {
+  if (el.nodeName === 'A') {
+    decorateSettings(el);
+    return;
+  }
+  await decorateBanner(el);
+}
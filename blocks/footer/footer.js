@@ -1,5 +1,5 @@
 import { getConfig, getMetadata } from '../../scripts/ak.js';
-import { loadFragment } from '../fragment/fragment.js';
+import { getInclude, loadFragment } from '../fragment/fragment.js';
 
 const FOOTER_PATH = '/fragments/nav/footer';
 
@@ -12,7 +12,7 @@ export default async function init(el) {
   const footerMeta = getMetadata('footer');
   const path = footerMeta || FOOTER_PATH;
   try {
-    const fragment = await loadFragment(`${locale.prefix}${path}`);
+    const fragment = await loadFragment(`${locale.prefix}${path}`, getInclude(el));
     fragment.classList.add('footer-content');
 
     const sections = [...fragment.querySelectorAll('.section')];
@@ -1,8 +1,8 @@
 import { loadArea } from '../../scripts/ak.js';
 
-function replaceDotMedia(path, doc) {
+function replaceDotMedia(path, area) {
   const resetAttributeBase = (tag, attr) => {
-    doc.querySelectorAll(`${tag}[${attr}^="./media_"]`).forEach((el) => {
+    area.querySelectorAll(`${tag}[${attr}^="./media_"]`).forEach((el) => {
       el[attr] = new URL(el.getAttribute(attr), new URL(path, window.location)).href;
     });
   };
@@ -24,23 +24,51 @@ function applyPageStyles(fragment) {
 }
 
 /**
- * Loads a fragment.
+ * Get the sections of a fragment, from the edge include or from the network.
  * @param {string} path The path to the fragment
- * @returns {HTMLElement} The root element of the fragment
+ * @param {HTMLTemplateElement} include The fragment as included by the worker
+ * @returns {Array} The sections of the fragment
  */
-export async function loadFragment(path) {
+async function getSections(path, include) {
+  if (include) {
+    include.remove();
+    return [...include.content.children];
+  }
+
   const resp = await fetch(`${path}`);
   if (!resp.ok) throw Error(`Couldn't fetch ${path}`);
 
   const html = await resp.text();
   const doc = new DOMParser().parseFromString(html, 'text/html');
+  return [...doc.body.querySelectorAll('main > div')];
+}
+
+/**
+ * Get the edge include of a fragment in an element, if any.
+ * @param {Element} el The element holding the include
+ * @param {string} position Where the include is (child or sibling)
+ * @returns {HTMLTemplateElement} The include or null
+ */
+export function getInclude(el, position = 'child') {
+  const include = position === 'sibling'
+    ? el.nextElementSibling
+    : el.querySelector(':scope > template[data-include]');
+  return include?.matches('template[data-include]') ? include : null;
+}
 
-  const sections = doc.body.querySelectorAll('main > div');
+/**
+ * Loads a fragment.
+ * @param {string} path The path to the fragment
+ * @param {HTMLTemplateElement} include The fragment as included by the worker
+ * @returns {HTMLElement} The root element of the fragment
+ */
+export async function loadFragment(path, include) {
+  const sections = await getSections(path, include);
   const fragment = document.createElement('div');
   fragment.classList.add('fragment-content');
   fragment.append(...sections);
 
-  replaceDotMedia(path, doc);
+  replaceDotMedia(include?.dataset.include || path, fragment);
 
   const container = applyPageStyles(fragment);
 
@@ -77,7 +105,7 @@ function getReplaceEl(a) {
 
 export default async function init(a) {
   const path = a.getAttribute('href');
-  const fragment = await loadFragment(path);
+  const fragment = await loadFragment(path, getInclude(a, 'sibling'));
   if (fragment) {
     const elToReplace = getReplaceEl(a);
     const sections = fragment.querySelectorAll(':scope > .section');
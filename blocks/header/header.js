@@ -1,8 +1,8 @@
 import { getConfig, getMetadata } from '../../scripts/ak.js';
-import { loadFragment } from '../fragment/fragment.js';
+import { getInclude, loadFragment } from '../fragment/fragment.js';
 import { setColorScheme } from '../section-metadata/section-metadata.js';
 
-const { locale } = getConfig();
+const { locale, locales } = getConfig();
 
 const HEADER_PATH = '/fragments/nav/header';
 const HEADER_ACTIONS = [
@@ -36,6 +36,22 @@ function toggleMenu(menu) {
   menu.classList.add('is-open');
 }
 
+/**
+ * Remember an explicit language choice so the worker never redirects it
+ * @param {Event} e the language menu click
+ */
+function setLanguage(e) {
+  const link = e.target.closest('a');
+  if (!link) return;
+  const { pathname } = new URL(link.href);
+  const prefix = Object.keys(locales)
+    .filter((key) => key && pathname.startsWith(`${key}/`))
+    .sort((a, b) => b.length - a.length)[0] || '';
+  const { lang } = locales[prefix] || {};
+  if (!lang) return;
+  document.cookie = `ak-locale=${lang}; max-age=31536000; path=/; samesite=lax`;
+}
+
 function decorateLanguage(btn) {
   const section = btn.closest('.section');
   btn.addEventListener('click', async () => {
@@ -47,6 +63,7 @@ function decorateLanguage(btn) {
       menu = document.createElement('div');
       menu.className = 'language menu';
       menu.append(fragment);
+      menu.addEventListener('click', setLanguage);
       content.append(menu);
       section.append(content);
     }
@@ -187,7 +204,7 @@ export default async function init(el) {
   const headerMeta = getMetadata('header');
   const path = headerMeta || HEADER_PATH;
   try {
-    const fragment = await loadFragment(`${locale.prefix}${path}`);
+    const fragment = await loadFragment(`${locale.prefix}${path}`, getInclude(el));
     fragment.classList.add('header-content');
     await decorateHeader(fragment);
     el.append(fragment);
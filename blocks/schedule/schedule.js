@@ -1,5 +1,12 @@
 import { getConfig, localizeUrl } from '../../scripts/ak.js';
 import ENV from '../../scripts/utils/env.js';
+import {
+  getAudiences,
+  getDevice,
+  isActive,
+  isDefault,
+  isTargeted,
+} from '../../scripts/utils/schedule.js';
 import { loadFragment } from '../fragment/fragment.js';
 
 const config = getConfig();
@@ -67,8 +74,21 @@ async function loadEvent(a, event, defEvent) {
   }
 }
 
+/**
+ * Get a signed preview token (ex: ?schedule=1767225600.{signature})
+ * The signature is verified by the worker, so these work in prod.
+ */
+function getPreviewToken() {
+  const token = new URL(window.location.href).searchParams.get('schedule');
+  return token?.includes('.') ? token : null;
+}
+
 function getDate() {
   const now = Date.now();
+
+  const token = getPreviewToken();
+  if (token) return token.split('.')[0] * 1000 || now;
+
   if (ENV === 'prod') return now;
 
   // Attempt a simulated schedule
@@ -77,21 +97,37 @@ function getDate() {
   return sim * 1000 || now;
 }
 
+/**
+ * Get what the client knows about the visitor.
+ * Country is only known at the edge, so the worker filters it.
+ */
+function getVisitor() {
+  const { userAgent, userAgentData } = navigator;
+  return {
+    locale: config.locale.lang || document.documentElement.lang,
+    device: userAgentData?.mobile ? 'mobile' : getDevice(userAgent),
+    audiences: getAudiences(document.cookie),
+  };
+}
+
 export default async function init(a) {
-  const resp = await fetch(a.href);
+  const url = new URL(a.href);
+  const token = getPreviewToken();
+  if (token) url.searchParams.set('schedule', token);
+  const resp = await fetch(url);
   if (!resp.ok) {
     await removeSchedule(a);
     return;
   }
-  const { data } = await resp.json();
+  const json = await resp.json();
+  const visitor = getVisitor();
+  const data = json.data.filter((evt) => isTargeted(evt, visitor));
   // Look
   data.reverse();
   const now = getDate();
   const found = data.find((evt) => {
     try {
-      const start = Date.parse(evt.start);
-      const end = Date.parse(evt.end);
-      return now > start && now < end;
+      return isActive(evt, now);
     } catch {
       config.log(`Could not get scheduled event: ${evt.name}`);
       return false;
@@ -99,7 +135,7 @@ export default async function init(a) {
   });
 
   // Get a default event in case the main event doesn't load
-  const defEvent = data.find((evt) => !(evt.start && evt.end));
+  const defEvent = data.find((evt) => isDefault(evt));
 
   // Use either the found event or the default
   const event = found || defEvent;
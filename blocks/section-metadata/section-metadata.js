@@ -1,3 +1,5 @@
+import { readBlockConfig } from '../../scripts/ak.js';
+
 /**
  * Converts a CSS color value to RGB values
  * @param {string} color - CSS color value (hex, rgb, rgba, hsl, hsla, or named color)
@@ -82,13 +84,8 @@ async function handleLayout(text, section, type) {
   section.classList.add(`${type}-${text}`);
 }
 
-const getMetadata = (el) => [...el.childNodes].reduce((rdx, row) => {
-  if (row.children) {
-    const key = row.children[0].textContent.trim().toLowerCase();
-    const content = row.children[1];
-    const text = content.textContent.trim().toLowerCase();
-    if (key && content) rdx[key] = { content, text };
-  }
+const getMetadata = (el) => Object.entries(readBlockConfig(el)).reduce((rdx, [key, value]) => {
+  rdx[key] = { ...value, text: value.text.toLowerCase() };
   return rdx;
 }, {});
 
@@ -101,8 +98,8 @@ export default async function init(el) {
   if (metadata.gap?.text) handleLayout(metadata.gap.text, section, 'gap');
   if (metadata.spacing?.text) handleLayout(metadata.spacing.text, section, 'spacing');
   if (metadata.container?.text) handleLayout(metadata.container.text, section, 'container');
-  if (metadata['background-color']?.content) handleBackground(metadata['background-color'].content, section);
-  if (metadata['background-image']?.content) handleBackground(metadata['background-image'].content, section);
+  if (metadata['background-color']?.content) handleBackground(metadata['background-color'], section);
+  if (metadata['background-image']?.content) handleBackground(metadata['background-image'], section);
   if (metadata.background?.content) handleBackground(metadata.background, section);
   el.remove();
 }
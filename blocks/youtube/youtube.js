@@ -1,4 +1,6 @@
+import { hasConsent, onConsentChange } from '../../scripts/ak.js';
 import observe from '../../scripts/utils/observer.js';
+import getPlaceholders from '../../scripts/utils/placeholders.js';
 
 function decorate(el) {
   el.innerHTML = `<iframe src="${el.dataset.src}" class="youtube"
@@ -8,7 +10,34 @@ function decorate(el) {
   title="Youtube Video">`;
 }
 
-export default function init(a) {
+/**
+ * Embeds wait for marketing consent, or a click to load this video only
+ * @param {Element} div the video container
+ */
+async function decoratePlaceholder(div) {
+  div.classList.add('video-placeholder');
+  const placeholders = await getPlaceholders();
+  const btn = document.createElement('button');
+  btn.className = 'video-consent';
+  btn.textContent = placeholders['video-consent'] || 'Load video from YouTube';
+  div.append(btn);
+
+  const load = () => {
+    div.classList.remove('video-placeholder');
+    decorate(div);
+  };
+  const stop = onConsentChange((consent) => {
+    if (!consent.marketing) return;
+    stop();
+    load();
+  });
+  btn.addEventListener('click', () => {
+    stop();
+    load();
+  });
+}
+
+export default async function init(a) {
   const div = document.createElement('div');
   div.className = 'video';
   const params = new URLSearchParams(a.search);
@@ -17,5 +46,10 @@ export default function init(a) {
   params.delete('v');
   div.dataset.src = `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}?${params.toString()}`;
   a.parentElement.replaceChild(div, a);
-  observe(div, decorate);
+
+  if (hasConsent('marketing')) {
+    observe(div, decorate);
+    return;
+  }
+  await decoratePlaceholder(div);
 }
@@ -45,23 +45,74 @@ export async function loadStyle(href) {
   });
 }
 
+// Lifecycle events bubble so site code can listen on the document
+function dispatch(target, name, detail) {
+  target.dispatchEvent(new CustomEvent(`ak:${name}`, { bubbles: true, detail }));
+}
+
+/**
+ * Read a key/value table (ex: section metadata) into an object.
+ * Keys are lower case with dashes for spaces (ex: Background Color is background-color).
+ * @param {Element} el the block with a key and a value column per row
+ * @returns {Object} the content element and trimmed text of each value by key
+ */
+export function readBlockConfig(el) {
+  return [...el.children].reduce((rdx, row) => {
+    const [keyCol, content] = row.children;
+    const key = keyCol?.textContent.trim().toLowerCase().replace(/\s+/g, '-');
+    if (key && content) rdx[key] = { content, text: content.textContent.trim() };
+    return rdx;
+  }, {});
+}
+
+// Columns (image cover, cols 3) is { variants: ['image-cover', 'cols-3'], image: 'cover', cols: 3 }
+function getBlockOptions(classList) {
+  const variants = [...classList].slice(1).filter((variant) => variant !== 'auto-block');
+  return variants.reduce((acc, variant) => {
+    const [key, ...rest] = variant.split('-');
+    if (!rest.length || key === 'variants') return acc;
+    const value = rest.join('-');
+    acc[key] = /^\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+    return acc;
+  }, { variants });
+}
+
 export async function loadBlock(block) {
-  const { components } = getConfig();
+  const { components, beforeBlock, afterBlock } = getConfig();
   const { classList } = block;
   const name = classList[0];
   block.dataset.blockName = name;
+  block.options = getBlockOptions(classList);
   const blockPath = `/blocks/${name}/${name}`;
+  const start = performance.now();
+  let error;
   const loaded = [new Promise((resolve) => {
     (async () => {
       try {
+        if (beforeBlock) await beforeBlock({ block, name });
         await (await import(`${blockPath}.js`)).default(block);
-      } catch (ex) { await getConfig().log(ex, block); }
+      } catch (ex) {
+        error = ex;
+        await getConfig().log(ex, block);
+      }
       resolve();
     })();
   })];
   const isCmp = components.some((cmp) => name === cmp);
   if (!isCmp) loaded.push(loadStyle(`${blockPath}.css`));
   await Promise.all(loaded);
+
+  const duration = performance.now() - start;
+  if (afterBlock) {
+    try {
+      await afterBlock({ block, name, error, duration });
+    } catch (ex) { await getConfig().log(ex); }
+  }
+  if (error) {
+    dispatch(block, 'block-error', { name, error, duration });
+  } else {
+    dispatch(block, 'block-loaded', { name, duration });
+  }
   return block;
 }
 
@@ -174,7 +225,8 @@ function decorateLink(config, a) {
 
     const { dnt, dnb } = decorateHash(a, url);
     if (!dnt) {
-      const localized = localizeUrl({ config, url });
+      // Localize without the hash flags that were just removed
+      const localized = localizeUrl({ config, url: new URL(a.href) });
       if (localized) a.href = localized.href;
     }
     decorateButton(a);
@@ -266,9 +318,112 @@ function decorateHeader() {
   if (breadcrumbs) header.append(breadcrumbs);
 }
 
+// Checkpoints sent before RUM loads, it waits for consent
+const rumQueue = [];
+
+function sampleRUM(checkpoint, data) {
+  const rum = window.hlx?.rum?.sampleRUM;
+  if (rum) {
+    rum(checkpoint, data);
+    return;
+  }
+  rumQueue.push([checkpoint, data]);
+}
+
+function decorateExperiment() {
+  // Assigned at the edge by the website worker
+  const source = getMetadata('experiment');
+  const target = getMetadata('experiment-variant');
+  if (!(source && target)) return;
+  document.body.dataset.experiment = `${source}:${target}`;
+  sampleRUM('experiment', { source, target });
+}
+
+const CONSENT_COOKIE = 'ak-consent';
+
+// Seconds a consent choice is kept (180 days)
+const CONSENT_AGE = 15552000;
+
+/**
+ * Get the consent choices of the visitor
+ * @returns {Object|null} ex: { necessary: true, analytics: true, marketing: false }
+ * or null if the visitor has not chosen yet
+ */
+export function getConsent() {
+  const cookie = document.cookie.split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${CONSENT_COOKIE}=`));
+  if (!cookie) return null;
+  const granted = decodeURIComponent(cookie.slice(CONSENT_COOKIE.length + 1)).split(',');
+  const { consent = [] } = getConfig();
+  return ['necessary', ...consent].reduce((acc, category) => {
+    acc[category] = category === 'necessary' || granted.includes(category);
+    return acc;
+  }, {});
+}
+
+/**
+ * Store the consent choices of the visitor
+ * @param {Array} granted the accepted categories (ex: ['analytics'])
+ */
+export function setConsent(granted) {
+  const value = ['necessary', ...granted.filter((category) => category !== 'necessary')];
+  document.cookie = `${CONSENT_COOKIE}=${encodeURIComponent(value.join(','))}; max-age=${CONSENT_AGE}; path=/; samesite=lax`;
+  dispatch(document, 'consent-change', getConsent());
+}
+
+/**
+ * Listen for consent choices
+ * @param {Function} callback called with the new consent
+ * @returns {Function} a function to stop listening
+ */
+export function onConsentChange(callback) {
+  const listener = (e) => callback(e.detail);
+  document.addEventListener('ak:consent-change', listener);
+  return () => document.removeEventListener('ak:consent-change', listener);
+}
+
+/**
+ * Check a consent category. Sites without consent categories in config allow everything.
+ * @param {string} category the category (ex: marketing)
+ * @returns {boolean} if the category was accepted
+ */
+export function hasConsent(category) {
+  const { consent } = getConfig();
+  if (!consent?.length) return true;
+  return !!getConsent()?.[category];
+}
+
+function setupRUM() {
+  // RUM is analytics
+  const loadRUM = () => import('../deps/rum.js').then(() => {
+    rumQueue.splice(0).forEach(([checkpoint, data]) => sampleRUM(checkpoint, data));
+  });
+  if (hasConsent('analytics')) {
+    loadRUM();
+    return;
+  }
+  const stop = onConsentChange((consent) => {
+    if (!consent.analytics) return;
+    stop();
+    loadRUM();
+  });
+}
+
+function setupConsent() {
+  const { consent } = getConfig();
+  if (!consent?.length || getConsent() || getMetadata('consent') === 'off') return;
+  const banner = document.createElement('div');
+  banner.className = 'consent';
+  document.body.append(banner);
+  loadBlock(banner);
+}
+
 function decorateDoc() {
+  setupRUM();
   decorateHeader();
   loadTemplate();
+  decorateExperiment();
 
   // Setup scheme
   const scheme = localStorage.getItem('color-scheme');
@@ -279,19 +434,85 @@ function decorateDoc() {
   if (pageId) localStorage.setItem('lazyhash', pageId);
 }
 
+// Milliseconds to wait for an interaction before loading martech
+const DELAY = 3000;
+
+function setupDelayed() {
+  const { delayed, delay = DELAY } = getConfig();
+  if (!delayed?.length || getMetadata('delayed') === 'off') return;
+
+  const events = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+  let timer;
+  const load = () => {
+    clearTimeout(timer);
+    events.forEach((type) => window.removeEventListener(type, load));
+    import('./delayed.js')
+      .then((mod) => mod.default())
+      .catch((ex) => getConfig().log(ex));
+  };
+  timer = setTimeout(load, delay);
+  events.forEach((type) => window.addEventListener(type, load, { once: true, passive: true }));
+}
+
+// Sections after the first load when they are a viewport away
+const LAZY_MARGIN = '0px 0px 100% 0px';
+
+async function loadSection(section, idx) {
+  const start = performance.now();
+  loadIcons(section);
+  await Promise.all(section.widgets.map((block) => loadBlock(block)));
+  await Promise.all(section.blocks.map((block) => loadBlock(block)));
+  for (const block of section.blocks) block.classList.remove('deferred');
+  delete section.dataset.status;
+  dispatch(section, 'section-loaded', { index: idx, duration: performance.now() - start });
+}
+
+/**
+ * Load sections as they approach the viewport
+ * @param {Array} sections the index and section of each deferred section
+ * @returns {Promise} resolves once every section has loaded
+ */
+function deferSections(sections) {
+  const observer = import('./utils/observer.js');
+  return Promise.all(sections.map(([idx, section]) => {
+    // Blocks keep a placeholder height so sections below stay out of the lazy margin
+    for (const block of section.blocks) block.classList.add('deferred');
+    delete section.dataset.status;
+    return new Promise((resolve) => {
+      const load = () => loadSection(section, idx).then(resolve);
+      observer.then(({ default: observe }) => observe(section, load, { rootMargin: LAZY_MARGIN }));
+    });
+  }));
+}
+
 export async function loadArea({ area } = { area: document }) {
   const isDoc = area === document;
   if (isDoc) decorateDoc();
   decoratePictures(area);
   const { decorateArea } = getConfig();
   if (decorateArea) decorateArea({ area });
+  const start = performance.now();
   const sections = decorateSections(area, isDoc);
-  for (const [idx, section] of sections.entries()) {
-    loadIcons(section);
-    await Promise.all(section.widgets.map((block) => loadBlock(block)));
-    await Promise.all(section.blocks.map((block) => loadBlock(block)));
-    delete section.dataset.status;
-    if (isDoc && idx === 0) import('./postlcp.js').then(mod => mod.default());
+
+  // Fragments are loaded hidden, so only documents can defer sections
+  const canDefer = isDoc && getMetadata('defer') !== 'off';
+  const eager = canDefer ? sections.slice(0, 1) : sections;
+  const deferred = [...sections.entries()].slice(eager.length);
+  for (const [idx, section] of eager.entries()) {
+    await loadSection(section, idx);
+    if (isDoc && idx === 0) import('./postlcp.js').then((mod) => mod.default());
+  }
+  const loaded = deferred.length ? deferSections(deferred) : Promise.resolve();
+
+  if (isDoc) {
+    // Deferred sections may never load for visitors who do not scroll
+    const detail = { sections: sections.length, deferred: deferred.length };
+    dispatch(document, 'page-loaded', { ...detail, duration: performance.now() - start });
+    loaded.then(() => {
+      dispatch(document, 'sections-loaded', { ...detail, duration: performance.now() - start });
+    });
+    import('./lazy.js');
+    setupConsent();
+    setupDelayed();
   }
-  if (isDoc) import('./lazy.js');
 }
@@ -0,0 +1,36 @@
+import { getConfig, hasConsent, onConsentChange } from './ak.js';
+import loadScript from './utils/script.js';
+
+/**
+ * Load a delayed entry from config
+ * @param {string|Object|Function} entry a script url, script options or a loader function
+ */
+function loadEntry(entry) {
+  if (typeof entry === 'function') return entry();
+  const { src, consent, ...attrs } = typeof entry === 'string' ? { src: entry } : entry;
+  return loadScript(src, attrs);
+}
+
+async function loadEntries(entries) {
+  const { log } = getConfig();
+  // Async, so a loader that throws fails alone
+  const results = await Promise.allSettled(entries.map(async (entry) => loadEntry(entry)));
+  for (const { status, reason } of results) {
+    if (status === 'rejected') log(reason);
+  }
+}
+
+export default async function loadDelayed() {
+  const { delayed } = getConfig();
+
+  // Consent gated entries wait for their category to be accepted
+  let waiting = delayed.filter((entry) => entry.consent && !hasConsent(entry.consent));
+  const stop = waiting.length ? onConsentChange(() => {
+    const allowed = waiting.filter((entry) => hasConsent(entry.consent));
+    waiting = waiting.filter((entry) => !allowed.includes(entry));
+    if (!waiting.length) stop();
+    loadEntries(allowed);
+  }) : null;
+
+  await loadEntries(delayed.filter((entry) => !waiting.includes(entry)));
+}
@@ -0,0 +1,12 @@
+// Shared with the website worker for sitemaps and locale detection
+const locales = {
+  '': { lang: 'en' },
+  '/de': { lang: 'de' },
+  '/es': { lang: 'es' },
+  '/fr': { lang: 'fr' },
+  '/hi': { lang: 'hi' },
+  '/ja': { lang: 'ja' },
+  '/zh': { lang: 'zh' },
+};
+
+export default locales;
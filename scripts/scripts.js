@@ -1,27 +1,27 @@
 import { loadArea, setConfig } from './ak.js';
+import locales from './locales.js';
 
 const hostnames = ['authorkit.dev'];
 
-const locales = {
-  '': { lang: 'en' },
-  '/de': { lang: 'de' },
-  '/es': { lang: 'es' },
-  '/fr': { lang: 'fr' },
-  '/hi': { lang: 'hi' },
-  '/ja': { lang: 'ja' },
-  '/zh': { lang: 'zh' },
-};
-
 // Widget patterns to look for
 const widgets = [
   { fragment: '/fragments/' },
   { schedule: '/schedules/' },
   { youtube: 'https://www.youtube' },
+  { consent: '#consent-settings' },
 ];
 
 // Blocks with self-managed styles
 const components = ['fragment', 'schedule'];
 
+// Consent categories visitors choose from, none means consent is not managed
+// Ex: ['analytics', 'marketing'] (RUM is analytics, embeds are marketing)
+const consent = [];
+
+// Martech loaded after the first interaction or a timeout
+// Ex: 'https://example.com/chat.js' or { src, consent: 'marketing', async: '' }
+const delayed = [];
+
 // How to decorate an area before loading it
 const decorateArea = ({ area = document }) => {
   const eagerLoad = (parent, selector) => {
@@ -35,7 +35,9 @@ const decorateArea = ({ area = document }) => {
 };
 
 export async function loadPage() {
-  setConfig({ hostnames, locales, widgets, components, decorateArea });
+  setConfig({
+    hostnames, locales, widgets, components, consent, delayed, decorateArea,
+  });
   await loadArea();
 }
 await loadPage();
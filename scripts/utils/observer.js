@@ -1,13 +1,24 @@
-const io = new IntersectionObserver((entries, observer) => {
-  entries.forEach(async (entry) => {
-    if (entry.isIntersecting) {
-      observer.unobserve(entry.target);
-      entry.target.callback(entry.target);
-    }
-  });
-});
+const observers = {};
 
-export default function observe(el, callback) {
+function getObserver(rootMargin = '0px') {
+  observers[rootMargin] ??= new IntersectionObserver((entries, observer) => {
+    entries.forEach(async (entry) => {
+      if (entry.isIntersecting) {
+        observer.unobserve(entry.target);
+        entry.target.callback(entry.target);
+      }
+    });
+  }, { rootMargin });
+  return observers[rootMargin];
+}
+
+/**
+ * Run a callback once an element intersects the viewport
+ * @param {Element} el the element to observe
+ * @param {Function} callback called with the element
+ * @param {Object} options the observer options (ex: a rootMargin to load ahead of scrolling)
+ */
+export default function observe(el, callback, { rootMargin } = {}) {
   el.callback = callback;
-  io.observe(el);
+  getObserver(rootMargin).observe(el);
 }
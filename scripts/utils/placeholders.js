@@ -0,0 +1,29 @@
+import { getConfig } from '../ak.js';
+
+const placeholders = {};
+
+async function fetchPlaceholders(path) {
+  try {
+    const resp = await fetch(path);
+    if (!resp.ok) return {};
+    const { data = [] } = await resp.json();
+    return data.reduce((acc, { key, text }) => {
+      if (key) acc[key] = text;
+      return acc;
+    }, {});
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the texts of the current locale, authored in placeholders.json
+ * with a key and a text column. A missing sheet has no texts.
+ * @returns {Promise<Object>} the texts by key
+ */
+export default function getPlaceholders() {
+  const { locale } = getConfig();
+  const path = `${locale.prefix}/placeholders.json`;
+  placeholders[path] ??= fetchPlaceholders(path);
+  return placeholders[path];
+}
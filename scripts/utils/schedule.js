@@ -0,0 +1,256 @@
+/**
+ * Schedule evaluation shared by the schedule block and the website worker.
+ *
+ * Rows support the following columns:
+ * - start / end: a date or date time (ex: 2025-12-01T09:00)
+ * - timezone: an IANA name (ex: America/Los_Angeles) used for start, end & recurrence
+ * - recurrence: daily or weekly windows (ex: 09:00-17:00 or Fri 17:00-Sun 23:59)
+ *
+ * Recurring rows use start & end as optional bounds.
+ * Recurrence without a timezone is evaluated in UTC.
+ *
+ * Rows can optionally target visitors with comma separated values:
+ * - country: ISO country codes (ex: us, ca)
+ * - locale: languages (ex: de, fr-ca)
+ * - device: mobile or desktop
+ * - audience: segments from the ak-audience cookie (ex: vip, returning)
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MINUTES = 1440;
+const WEEK_MINUTES = DAY_MINUTES * 7;
+
+const TARGETS = ['country', 'locale', 'device', 'audience'];
+const AUDIENCE_COOKIE = 'ak-audience';
+
+const formatters = {};
+
+function getParts(time, timeZone = 'UTC') {
+  formatters[timeZone] ??= new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+  const parts = formatters[timeZone].formatToParts(time).reduce((acc, { type, value }) => {
+    acc[type] = type === 'weekday' ? DAYS.indexOf(value.toLowerCase()) : Number(value);
+    return acc;
+  }, {});
+  // The wall clock time expressed as if it were UTC
+  const {
+    year, month, day, hour, minute, second,
+  } = parts;
+  parts.wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  return parts;
+}
+
+function zonedToUtc(wall, timeZone) {
+  const getOffset = (time) => getParts(time, timeZone).wall - Math.floor(time / 1000) * 1000;
+  const guess = wall - getOffset(wall);
+  return wall - getOffset(guess);
+}
+
+const isClockTime = (hour, minute, second = 0) => hour < 24 && minute < 60 && second < 60;
+
+/**
+ * Parse a schedule date. Dates with an explicit offset ignore the timezone.
+ * @param {String} value the date string
+ * @param {String} timeZone an optional IANA timezone
+ * @returns {Number} the time in ms or NaN
+ */
+export function parseTime(value, timeZone) {
+  if (!value) return NaN;
+  const str = `${value}`.trim();
+  if (!timeZone || /(z|[+-]\d{2}:?\d{2})$/i.test(str)) return Date.parse(str);
+
+  const match = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) return Date.parse(str);
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1)
+    .map((part) => (part === undefined ? undefined : Number(part)));
+  if (!isClockTime(hour, minute, second)) return NaN;
+  return zonedToUtc(Date.UTC(year, month - 1, day, hour, minute, second), timeZone);
+}
+
+function parsePoint(str) {
+  const match = str.match(/^(?:([a-z]{3})[a-z]*\s+)?(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const [, dayName, hour, minute] = match;
+  const day = dayName ? DAYS.indexOf(dayName) : null;
+  if (day === -1 || !isClockTime(Number(hour), Number(minute))) return null;
+  return { day, minutes: Number(hour) * 60 + Number(minute) };
+}
+
+function parseWindow(str) {
+  const text = str.trim().toLowerCase().replace(/^(daily|weekly)\s+/, '');
+  const points = text.split(/\s*[-–—]\s*/).map(parsePoint);
+  if (points.length !== 2 || points.includes(null)) return null;
+  const [from, to] = points;
+
+  // Daily windows (ex: 09:00-17:00)
+  if (from.day === null) {
+    if (to.day !== null) return null;
+    return { period: DAY_MINUTES, start: from.minutes, end: to.minutes };
+  }
+
+  // Weekly windows (ex: Fri 17:00-Sun 23:59 or Mon 09:00-12:00)
+  const toDay = to.day === null ? from.day : to.day;
+  return {
+    period: WEEK_MINUTES,
+    start: from.day * DAY_MINUTES + from.minutes,
+    end: toDay * DAY_MINUTES + to.minutes,
+  };
+}
+
+/**
+ * Parse a recurrence into windows. Multiple windows are comma or semicolon separated.
+ * @param {String} recurrence the recurrence (ex: Sat 09:00-Sun 18:00, Wed 12:00-14:00)
+ * @returns {Array} the windows, in minutes of their period
+ */
+export function parseRecurrence(recurrence) {
+  if (!recurrence) return [];
+  return `${recurrence}`.split(/[,;]/).map(parseWindow).filter((range) => range);
+}
+
+function getPosition({ period }, parts) {
+  const { weekday, hour, minute, second } = parts;
+  const minutes = hour * 60 + minute + second / 60;
+  return period === WEEK_MINUTES ? weekday * DAY_MINUTES + minutes : minutes;
+}
+
+function inWindow(range, parts) {
+  const pos = getPosition(range, parts);
+  const { start, end } = range;
+  if (start < end) return pos >= start && pos < end;
+  // Windows can wrap around their period (ex: Fri 17:00-Mon 09:00)
+  return pos >= start || pos < end;
+}
+
+function getWindowChanges(range, parts, timeZone) {
+  const pos = getPosition(range, parts);
+  return [range.start, range.end].map((target) => {
+    const delta = (((target - pos) % range.period) + range.period) % range.period;
+    return zonedToUtc(parts.wall + (delta || range.period) * 60000, timeZone);
+  });
+}
+
+/**
+ * Determine if a row is the default (unscheduled) row.
+ * @param {Object} row the schedule row
+ * @returns {Boolean}
+ */
+export function isDefault({ start, end, recurrence }) {
+  return !(start || end || recurrence);
+}
+
+/**
+ * Determine if a row is active. Throws if the timezone is not valid.
+ * @param {Object} row the schedule row
+ * @param {Number} now the time to evaluate against in ms
+ * @returns {Boolean}
+ */
+export function isActive(row, now) {
+  if (isDefault(row)) return false;
+  const { start, end, timezone, recurrence } = row;
+  const timeZone = timezone?.trim() || undefined;
+
+  // Without a recurrence, both start and end are required
+  if (!recurrence && !(start && end)) return false;
+
+  const startTime = start ? parseTime(start, timeZone) : -Infinity;
+  const endTime = end ? parseTime(end, timeZone) : Infinity;
+  if (!(now > startTime && now < endTime)) return false;
+  if (!recurrence) return true;
+
+  const parts = getParts(now, timeZone);
+  return parseRecurrence(recurrence).some((range) => inWindow(range, parts));
+}
+
+function getRowChanges(row, now) {
+  const { start, end, timezone, recurrence } = row;
+  const timeZone = timezone?.trim() || undefined;
+  try {
+    const changes = [parseTime(start, timeZone), parseTime(end, timeZone)];
+    if (recurrence) {
+      const parts = getParts(now, timeZone);
+      for (const range of parseRecurrence(recurrence)) {
+        changes.push(...getWindowChanges(range, parts, timeZone));
+      }
+    }
+    return changes.filter((time) => time > now);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get the next time any row of a schedule starts or stops being active.
+ * @param {Array} rows the schedule rows
+ * @param {Number} now the time to evaluate against in ms
+ * @returns {Number} the time of the next change in ms or Infinity
+ */
+export function getNextChange(rows, now) {
+  return rows.reduce((next, row) => Math.min(next, ...getRowChanges(row, now)), Infinity);
+}
+
+const toList = (value) => `${value || ''}`.split(',')
+  .map((item) => item.trim().toLowerCase())
+  .filter((item) => item);
+
+/**
+ * Get the device type from a user agent.
+ * @param {String} userAgent the user agent
+ * @returns {String} mobile or desktop
+ */
+export function getDevice(userAgent = '') {
+  return /mobi|android|iphone|ipad/i.test(userAgent) ? 'mobile' : 'desktop';
+}
+
+/**
+ * Get the audience segments of a visitor.
+ * @param {String} cookie the cookie header or document.cookie
+ * @returns {Array} the audience segments
+ */
+export function getAudiences(cookie = '') {
+  const found = cookie.split(';').find((part) => part.trim().startsWith(`${AUDIENCE_COOKIE}=`));
+  if (!found) return [];
+  return toList(decodeURIComponent(found.split('=')[1]));
+}
+
+/**
+ * Determine if a row uses any targeting columns.
+ * @param {Object} row the schedule row
+ * @returns {Boolean}
+ */
+export function hasTargeting(row) {
+  return TARGETS.some((key) => toList(row[key]).length);
+}
+
+/**
+ * Determine if a row targets a visitor.
+ * Anything the visitor does not know (ex: country on the client) is not filtered.
+ * @param {Object} row the schedule row
+ * @param {Object} visitor the visitor's country, locale, device and audiences
+ * @returns {Boolean}
+ */
+export function isTargeted(row, visitor) {
+  const { country, locale, device, audiences } = visitor;
+  const known = {
+    country: country && [country],
+    locale: locale && [locale],
+    device: device && [device],
+    audience: audiences,
+  };
+  return TARGETS.every((key) => {
+    const targets = toList(row[key]);
+    if (!targets.length || !known[key]) return true;
+    const values = known[key].map((value) => value.toLowerCase());
+    // Allow base languages to match regional ones (ex: de matches de-ch)
+    return values.some((value) => targets.some((target) => value === target
+      || value.startsWith(`${target}-`)));
+  });
+}
@@ -1,8 +1,10 @@
-export default async function loadScript(src) {
+export default async function loadScript(src, attrs = {}) {
   return new Promise((resolve, reject) => {
     if (!document.querySelector(`head > script[src="${src}"]`)) {
       const script = document.createElement('script');
       script.src = src;
+      // Ex: type="module", async, or data-* options of a widget
+      Object.entries(attrs).forEach(([key, value]) => script.setAttribute(key, value));
       script.onload = resolve;
       script.onerror = reject;
       document.head.append(script);
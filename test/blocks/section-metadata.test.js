@@ -0,0 +1,40 @@
+import { readFile } from '@web/test-runner-commands';
+import { expect } from '@esm-bundle/chai';
+import { loadArea, setConfig } from '../../scripts/ak.js';
+
+describe('Section metadata', () => {
+  let sections;
+
+  before(async () => {
+    setConfig({
+      hostnames: [],
+      locales: { '': {} },
+      widgets: [],
+      components: [],
+      log: () => {},
+    });
+    document.body.innerHTML = await readFile({ path: './mocks/section-metadata.html' });
+    const area = document.querySelector('main');
+    await loadArea({ area });
+    sections = area.querySelectorAll(':scope > .section');
+  });
+
+  it('Removes the metadata table', () => {
+    expect(document.querySelector('.section-metadata')).to.be.null;
+  });
+
+  it('Applies a background color row', () => {
+    expect(sections[0].style.backgroundColor).to.equal('rgb(0, 0, 0)');
+    expect(sections[0].querySelector('.dark-scheme')).to.exist;
+  });
+
+  it('Applies styles', () => {
+    expect(sections[0].classList.contains('dark')).to.be.true;
+    expect(sections[0].classList.contains('wide-gap')).to.be.true;
+  });
+
+  it('Applies a background image row', () => {
+    expect(sections[1].classList.contains('has-background')).to.be.true;
+    expect(sections[1].querySelector(':scope > picture.section-background')).to.exist;
+  });
+});
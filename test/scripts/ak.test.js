@@ -0,0 +1,413 @@
+import { readFile } from '@web/test-runner-commands';
+import { expect } from '@esm-bundle/chai';
+import {
+  getLocale,
+  loadArea,
+  loadBlock,
+  localizeUrl,
+  readBlockConfig,
+  setConfig,
+} from '../../scripts/ak.js';
+
+const locales = {
+  '': {},
+  '/de': { lang: 'de' },
+  '/de-ch': { lang: 'de-CH' },
+};
+
+const conf = {
+  hostnames: ['authorkit.dev'],
+  locales,
+  widgets: [{ widget: '/tools/widget/' }],
+  components: [],
+  log: () => {},
+};
+
+const loadFixture = async (name) => {
+  document.body.innerHTML = await readFile({ path: `./mocks/${name}.html` });
+  return document.querySelector('main');
+};
+
+const setMeta = (name, content) => {
+  const meta = document.createElement('meta');
+  meta.name = name;
+  meta.content = content;
+  document.head.append(meta);
+  return meta;
+};
+
+const setLocaleMeta = (content) => setMeta('locale', content);
+
+describe('Locale Configs', () => {
+  const { href } = window.location;
+
+  afterEach(() => {
+    window.history.replaceState(null, '', href);
+    document.head.querySelector('meta[name="locale"]')?.remove();
+    document.documentElement.removeAttribute('lang');
+  });
+
+  it('Sets empty locale', () => {
+    const config = setConfig({ locales: { '': {} } });
+    expect(config.locale.prefix).to.equal('');
+  });
+
+  it('Uses the root locale outside of prefixes', () => {
+    window.history.replaceState(null, '', '/page');
+    const locale = getLocale(locales);
+    expect(locale.prefix).to.equal('');
+    expect(locale.lang).to.be.undefined;
+  });
+
+  it('Uses the longest matching prefix', () => {
+    window.history.replaceState(null, '', '/de-ch/page');
+    const locale = getLocale(locales);
+    expect(locale.prefix).to.equal('/de-ch');
+    expect(document.documentElement.lang).to.equal('de-CH');
+  });
+
+  it('Does not match partial prefixes', () => {
+    window.history.replaceState(null, '', '/dev/page');
+    expect(getLocale(locales).prefix).to.equal('');
+  });
+
+  it('Prefers locale metadata', () => {
+    window.history.replaceState(null, '', '/page');
+    setLocaleMeta('/de');
+    const config = setConfig(conf);
+    expect(config.locale.prefix).to.equal('/de');
+    expect(config.locale.lang).to.equal('de');
+  });
+});
+
+describe('Localize URL', () => {
+  const config = { locales, locale: { prefix: '/de' } };
+
+  it('Localizes root links', () => {
+    const url = new URL('https://www.example.com/page?q=1#top');
+    expect(localizeUrl({ config, url }).href).to.equal('https://www.example.com/de/page?q=1#top');
+  });
+
+  it('Skips links already in a locale', () => {
+    expect(localizeUrl({ config, url: new URL('https://www.example.com/de/page') })).to.be.null;
+    expect(localizeUrl({ config, url: new URL('https://www.example.com/de-ch/page') })).to.be.null;
+  });
+
+  it('Skips links in the root locale', () => {
+    const rootConfig = { locales, locale: { prefix: '' } };
+    expect(localizeUrl({ config: rootConfig, url: new URL('https://www.example.com/page') })).to.be.null;
+  });
+});
+
+describe('Buttons', () => {
+  let area;
+
+  before(async () => {
+    setConfig(conf);
+    area = await loadFixture('buttons');
+    await loadArea({ area });
+  });
+
+  const getLink = (path) => area.querySelector(`a[href="${path}"]`);
+
+  it('Decorates strong links as primary', () => {
+    expect(getLink('/primary').className).to.equal('btn btn-primary');
+    expect(getLink('/primary').parentElement.tagName).to.equal('P');
+  });
+
+  it('Decorates em links as secondary', () => {
+    expect(getLink('/secondary').className).to.equal('btn btn-secondary');
+  });
+
+  it('Decorates em & strong links as accent', () => {
+    expect(getLink('/accent').className).to.equal('btn btn-accent');
+    expect(getLink('/accent').parentElement.tagName).to.equal('P');
+  });
+
+  it('Decorates strikethrough links as negative', () => {
+    expect(getLink('/negative').className).to.equal('btn btn-negative');
+  });
+
+  it('Decorates underlined links as outline', () => {
+    const link = getLink('/outline');
+    expect(link.className).to.equal('btn btn-primary btn-outline');
+    expect(link.querySelector('u')).to.be.null;
+    expect(link.textContent).to.equal('Outline');
+  });
+
+  it('Groups sibling buttons', () => {
+    const group = getLink('/one').parentElement;
+    expect(group.classList.contains('btn-group')).to.be.true;
+    expect(getLink('/two').classList.contains('btn-secondary')).to.be.true;
+  });
+
+  it('Leaves inline and plain links alone', () => {
+    expect(getLink('/inline').classList.contains('btn')).to.be.false;
+    expect(getLink('/plain').className).to.equal('');
+  });
+});
+
+describe('Links', () => {
+  let area;
+
+  before(async () => {
+    setLocaleMeta('/de');
+    setConfig(conf);
+    area = await loadFixture('links');
+    await loadArea({ area });
+  });
+
+  after(() => {
+    document.head.querySelector('meta[name="locale"]')?.remove();
+    document.documentElement.removeAttribute('lang');
+  });
+
+  const getLink = (text) => [...area.querySelectorAll('a')].find((a) => a.textContent === text);
+  const getPath = (text) => {
+    const { pathname, hash } = new URL(getLink(text).href);
+    return `${pathname}${hash}`;
+  };
+
+  it('Opens #_blank links in a new window', () => {
+    expect(getLink('Blank').target).to.equal('_blank');
+    expect(getPath('Blank')).to.equal('/de/blank');
+  });
+
+  it('Localizes links', () => {
+    expect(getPath('Translated')).to.equal('/de/translated');
+  });
+
+  it('Localizes links without their hash flags', () => {
+    expect(getPath('Anchored')).to.equal('/de/anchored#top');
+    expect(getLink('Anchored').target).to.equal('_blank');
+  });
+
+  it('Localizes links of the site as relative links', () => {
+    const { origin } = new URL(getLink('Hosted').href);
+    expect(origin).to.equal(window.location.origin);
+    expect(getPath('Hosted')).to.equal('/de/hosted');
+  });
+
+  it('Does not localize #_dnt links', () => {
+    expect(getPath('Untranslated')).to.equal('/untranslated');
+  });
+
+  it('Does not localize links in another locale', () => {
+    expect(getPath('Localized')).to.equal('/de-ch/localized');
+  });
+
+  it('Auto blocks widget links', () => {
+    const link = getLink('Widget');
+    expect(link.classList.contains('widget')).to.be.true;
+    expect(link.classList.contains('auto-block')).to.be.true;
+    expect(link.dataset.blockName).to.equal('widget');
+  });
+
+  it('Does not auto block #_dnb links', () => {
+    const link = getLink('Not a widget');
+    expect(link.classList.contains('auto-block')).to.be.false;
+    expect(getPath('Not a widget')).to.equal('/de/tools/widget/two');
+  });
+});
+
+describe('Sections', () => {
+  let sections;
+
+  before(async () => {
+    setConfig(conf);
+    const area = await loadFixture('sections');
+    await loadArea({ area });
+    sections = area.querySelectorAll(':scope > .section');
+  });
+
+  it('Decorates sections', () => {
+    expect(sections.length).to.equal(2);
+    for (const section of sections) {
+      expect(section.dataset.status).to.be.undefined;
+    }
+  });
+
+  it('Groups default content and blocks', () => {
+    const groups = [...sections[0].children].map((group) => group.className);
+    expect(groups).to.deep.equal(['default-content', 'block-content', 'default-content']);
+    expect(sections[0].querySelector('.default-content').children.length).to.equal(2);
+  });
+
+  it('Groups a single block', () => {
+    const groups = [...sections[1].children].map((group) => group.className);
+    expect(groups).to.deep.equal(['block-content']);
+  });
+
+  it('Loads blocks', () => {
+    const block = sections[0].querySelector('.test-block');
+    expect(block.dataset.blockName).to.equal('test-block');
+  });
+});
+
+describe('Lifecycle', () => {
+  const names = ['ak:block-loaded', 'ak:block-error', 'ak:section-loaded', 'ak:page-loaded'];
+  const events = [];
+  const hooks = [];
+  const record = (e) => events.push(e);
+
+  before(async () => {
+    names.forEach((name) => document.addEventListener(name, record));
+    setConfig({
+      ...conf,
+      beforeBlock: ({ name }) => hooks.push(`before ${name}`),
+      afterBlock: ({ name, error }) => hooks.push(`after ${name} ${error ? 'failed' : 'loaded'}`),
+    });
+    const area = await loadFixture('sections');
+    await loadArea({ area });
+  });
+
+  after(() => {
+    names.forEach((name) => document.removeEventListener(name, record));
+  });
+
+  it('Runs hooks around each block', () => {
+    expect(hooks).to.deep.equal([
+      'before test-block',
+      'after test-block loaded',
+      'before test-error',
+      'after test-error failed',
+    ]);
+  });
+
+  it('Dispatches loaded blocks', () => {
+    const loaded = events.filter((e) => e.type === 'ak:block-loaded');
+    expect(loaded.length).to.equal(1);
+    expect(loaded[0].target.dataset.decorated).to.equal('true');
+    expect(loaded[0].detail.name).to.equal('test-block');
+    expect(loaded[0].detail.duration).to.be.a('number');
+  });
+
+  it('Dispatches block errors', () => {
+    const errors = events.filter((e) => e.type === 'ak:block-error');
+    expect(errors.length).to.equal(1);
+    expect(errors[0].detail.name).to.equal('test-error');
+    expect(errors[0].detail.error.message).to.equal('test-error always fails');
+    expect(errors[0].detail.duration).to.be.a('number');
+  });
+
+  it('Dispatches section events in order', () => {
+    const loaded = events.filter((e) => e.type === 'ak:section-loaded');
+    expect(loaded.map((e) => e.detail.index)).to.deep.equal([0, 1]);
+    expect(loaded[0].target.classList.contains('section')).to.be.true;
+  });
+
+  it('Dispatches blocks before their section', () => {
+    expect(events.map((e) => e.type)).to.deep.equal([
+      'ak:block-loaded',
+      'ak:section-loaded',
+      'ak:block-error',
+      'ak:section-loaded',
+    ]);
+  });
+
+  it('Only dispatches page events for documents', () => {
+    expect(events.some((e) => e.type === 'ak:page-loaded')).to.be.false;
+  });
+});
+
+describe('Page lifecycle', () => {
+  const names = ['ak:block-loaded', 'ak:block-error', 'ak:section-loaded', 'ak:page-loaded'];
+  const events = [];
+  const record = (e) => events.push(e.type);
+  let detail;
+  let sectionsDetail;
+
+  before(async () => {
+    names.forEach((name) => document.addEventListener(name, record));
+    document.addEventListener('ak:page-loaded', (e) => { detail = e.detail; }, { once: true });
+    setConfig(conf);
+    await loadFixture('sections');
+    const sectionsLoaded = new Promise((resolve) => {
+      document.addEventListener('ak:sections-loaded', (e) => {
+        events.push(e.type);
+        resolve(e.detail);
+      }, { once: true });
+    });
+    await loadArea();
+    sectionsDetail = await sectionsLoaded;
+  });
+
+  after(() => {
+    names.forEach((name) => document.removeEventListener(name, record));
+  });
+
+  it('Dispatches the page once the eager sections loaded', () => {
+    expect(events).to.deep.equal([
+      'ak:block-loaded',
+      'ak:section-loaded',
+      'ak:page-loaded',
+      'ak:block-error',
+      'ak:section-loaded',
+      'ak:sections-loaded',
+    ]);
+  });
+
+  it('Details the sections of the page', () => {
+    expect(detail.sections).to.equal(2);
+    expect(detail.deferred).to.equal(1);
+    expect(detail.duration).to.be.a('number');
+    expect(sectionsDetail.deferred).to.equal(1);
+    expect(sectionsDetail.duration).to.be.at.least(detail.duration);
+  });
+});
+
+describe('Block options', () => {
+  const getBlock = (className) => {
+    const block = document.createElement('div');
+    block.className = className;
+    return block;
+  };
+
+  before(() => setConfig(conf));
+
+  it('Parses variants, numbers and key/value pairs', async () => {
+    const block = await loadBlock(getBlock('test-block image-cover cols-3 dark'));
+    expect(block.options).to.deep.equal({
+      variants: ['image-cover', 'cols-3', 'dark'],
+      image: 'cover',
+      cols: 3,
+    });
+  });
+
+  it('Ignores the auto block marker', async () => {
+    const block = await loadBlock(getBlock('test-block auto-block'));
+    expect(block.options).to.deep.equal({ variants: [] });
+  });
+
+  it('Reads key/value tables', () => {
+    const block = getBlock('test-config');
+    block.innerHTML = `
+      <div><div>Background Color</div><div> Red </div></div>
+      <div><div>Style</div><div><p>Dark</p></div></div>
+      <div><div></div><div>No key</div></div>`;
+    const config = readBlockConfig(block);
+    expect(Object.keys(config)).to.deep.equal(['background-color', 'style']);
+    expect(config['background-color'].text).to.equal('Red');
+    expect(config.style.content.querySelector('p').textContent).to.equal('Dark');
+  });
+});
+
+describe('RUM', () => {
+  const metas = [];
+
+  after(() => metas.forEach((meta) => meta.remove()));
+
+  it('Reports experiments assigned before RUM loads', async () => {
+    metas.push(setMeta('experiment', '/page'), setMeta('experiment-variant', '/page-b'));
+    setConfig(conf);
+    await loadFixture('sections');
+    const reported = new Promise((resolve) => {
+      document.addEventListener('rum', (e) => {
+        if (e.detail.checkpoint === 'experiment') resolve(e.detail.data);
+      });
+    });
+    await loadArea();
+    expect(document.body.dataset.experiment).to.equal('/page:/page-b');
+    expect(await reported).to.deep.equal({ source: '/page', target: '/page-b' });
+  });
+});
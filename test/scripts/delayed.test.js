@@ -0,0 +1,25 @@
+import { expect } from '@esm-bundle/chai';
+import { setConfig } from '../../scripts/ak.js';
+import loadDelayed from '../../scripts/delayed.js';
+
+describe('Delayed', () => {
+  it('Loads the other entries when one fails', async () => {
+    const logged = [];
+    const loaded = [];
+    setConfig({
+      hostnames: [],
+      locales: { '': {} },
+      widgets: [],
+      components: [],
+      log: (ex) => logged.push(ex.message),
+      delayed: [
+        () => { throw Error('sync failure'); },
+        async () => { throw Error('async failure'); },
+        () => loaded.push('third'),
+      ],
+    });
+    await loadDelayed();
+    expect(loaded).to.deep.equal(['third']);
+    expect(logged).to.deep.equal(['sync failure', 'async failure']);
+  });
+});
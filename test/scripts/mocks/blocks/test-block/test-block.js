@@ -0,0 +1,5 @@
+export default async function init(el) {
+  // Resolve a task later so events can not fire before the block is done
+  await new Promise((resolve) => { setTimeout(resolve); });
+  el.dataset.decorated = 'true';
+}
@@ -0,0 +1,3 @@
+export default function init() {
+  throw Error('test-error always fails');
+}
@@ -0,0 +1,247 @@
+/**
+ * The channel to the DA iframe.
+ *
+ * What DA does with it:
+ * - the init message ({ init, location }) carries the port, DA answers with { set: 'body' }.
+ *   A new port is sent the same way when the connection is lost.
+ * - { type: 'node-update' } and the other quick-edit messages arrive in the order posted.
+ * - { type: 'heartbeat', id } is optional. A DA answering { set: 'heartbeat', id } confirms
+ *   the updates sent before it, and lets a silent channel be detected as lost.
+ *   Without answers, only the browser going offline starts a reconnection,
+ *   and updates are neither counted as unsaved nor kept over a reload.
+ */
+const STORAGE_KEY = 'quick-edit-pending';
+const HEARTBEAT_INTERVAL = 5000;
+const HEARTBEAT_TIMEOUT = 15000;
+
+// Waits (ms) between connection attempts, the last one repeats
+const RETRY_DELAYS = [500, 500, 1000, 2000, 5000, 10000];
+
+// Attempts before the iframe itself is reloaded
+const RELOAD_EVERY = 10;
+
+const LABELS = {
+  connecting: 'Connecting',
+  connected: 'Connected',
+  reconnecting: 'Reconnecting',
+  offline: 'Offline',
+};
+
+let state = 'connecting';
+let target;
+let init;
+let handleMessage;
+let port;
+let indicator;
+let attempt = 0;
+let retry;
+let heartbeat;
+let lastSeen = 0;
+let hasBody = false;
+
+function loadPending() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    if (saved?.path === window.location.pathname) return saved.updates;
+  } catch {
+    // Nothing saved or not readable
+  }
+  return [];
+}
+
+/**
+ * Node updates DA has not confirmed yet, in the order they were made.
+ * Kept in sessionStorage with the page, and sent again after a reload
+ * when their element is still in the page DA sends.
+ */
+let pending = loadPending();
+let seq = pending.at(-1)?.id || 0;
+
+// Only a DA answering heartbeats confirms updates, so only it leaves some in storage
+let answersHeartbeat = pending.length > 0;
+
+function savePending() {
+  try {
+    if (!(pending.length && answersHeartbeat)) {
+      sessionStorage.removeItem(STORAGE_KEY);
+      return;
+    }
+    const saved = { path: window.location.pathname, updates: pending };
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    // Storage is full or disabled, updates are still kept in memory
+  }
+}
+
+function updateIndicator() {
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.className = 'quick-edit-connection';
+    indicator.setAttribute('role', 'status');
+    // Outside of body, which the page from DA replaces
+    document.documentElement.append(indicator);
+  }
+  indicator.dataset.state = state;
+  const unsaved = answersHeartbeat && state !== 'connected' && pending.length
+    ? ` · ${pending.length} unsaved ${pending.length === 1 ? 'change' : 'changes'}`
+    : '';
+  indicator.textContent = `${LABELS[state]}${unsaved}`;
+}
+
+function setState(next) {
+  state = next;
+  updateIndicator();
+}
+
+function queue(message) {
+  // A node update holds the whole element, so it replaces the previous one for it
+  const last = pending.at(-1);
+  if (last && last.message.cursorOffset === message.cursorOffset) pending.pop();
+  seq += 1;
+  pending.push({ id: seq, message });
+  savePending();
+}
+
+/**
+ * DA answers each heartbeat with its id. Messages on a port arrive in order,
+ * so every update sent before that heartbeat has been received.
+ */
+function acknowledge(id) {
+  pending = pending.filter((update) => update.id > id);
+  savePending();
+  updateIndicator();
+}
+
+/**
+ * Updates restored after a reload were made in the page DA sent before.
+ * The ones whose element is in the fresh page are sent again, in order, the others are dropped.
+ * @param {String} body the page DA sent
+ * @param {Number} sent the last update made before the channel opened
+ */
+function restore(body, sent) {
+  const doc = new DOMParser().parseFromString(body, 'text/html');
+  const exists = ({ message }) => doc.querySelector(`[data-cursor="${message.cursorOffset}"]`);
+  pending = pending.filter((update) => update.id > sent || exists(update));
+  savePending();
+  updateIndicator();
+  pending.forEach(({ message }) => port.postMessage(message));
+}
+
+function ping() {
+  port.postMessage({ type: 'heartbeat', id: seq });
+}
+
+function openChannel() {
+  port?.close();
+  const { port1, port2 } = new MessageChannel();
+  port = port1;
+  // Updates until now are replayed after the init, or checked against the page on a first load.
+  // The ones made while connecting are sent once connected.
+  const replay = hasBody;
+  const sent = seq;
+  port.onmessage = (e) => {
+    lastSeen = Date.now();
+    if (state !== 'connected') {
+      attempt = 0;
+      clearTimeout(retry);
+      setState('connected');
+      // Without a page yet, updates wait for it to be checked against
+      if (replay) {
+        pending
+          .filter(({ id }) => id > sent)
+          .forEach(({ message }) => port.postMessage(message));
+      }
+    }
+    if (e.data?.set === 'heartbeat') {
+      answersHeartbeat = true;
+      acknowledge(e.data.id);
+      return;
+    }
+    if (e.data?.set === 'body') {
+      if (replay) {
+        // DA read the init, so it reads what was replayed after it
+        acknowledge(sent);
+      } else {
+        restore(e.data.body, sent);
+      }
+      hasBody = true;
+    }
+    handleMessage(e);
+  };
+  target.contentWindow.postMessage(init, '*', [port2]);
+
+  // Replay what the previous channel may have lost, DA reads it after the init
+  if (!replay) return;
+  pending
+    .filter(({ id }) => id <= sent)
+    .forEach(({ message }) => port.postMessage(message));
+}
+
+function reconnect() {
+  clearTimeout(retry);
+  if (!navigator.onLine) {
+    setState('offline');
+    return;
+  }
+  if (state !== 'connecting') setState('reconnecting');
+
+  attempt += 1;
+  if (attempt % RELOAD_EVERY === 0) {
+    // The iframe may have failed to load, start it over
+    const { src } = target;
+    target.src = src;
+  } else {
+    openChannel();
+  }
+
+  const delay = RETRY_DELAYS[Math.min(attempt, RETRY_DELAYS.length) - 1];
+  retry = setTimeout(() => {
+    if (state !== 'connected') reconnect();
+  }, delay);
+}
+
+function checkHeartbeat() {
+  if (state !== 'connected') return;
+  // A DA that never answers heartbeats can be idle for any time
+  if (answersHeartbeat && Date.now() - lastSeen > HEARTBEAT_TIMEOUT) {
+    reconnect();
+    return;
+  }
+  ping();
+}
+
+/**
+ * Post a message to DA. Node updates are kept until DA confirms them
+ * and are replayed when the connection comes back.
+ * @param {Object} message the message
+ */
+export function postMessage(message) {
+  if (message.type === 'node-update') {
+    queue(message);
+    updateIndicator();
+  }
+  if (state === 'connected') port.postMessage(message);
+}
+
+export const getState = () => state;
+
+/**
+ * Connect to the DA iframe and keep the connection alive
+ * @param {Object} options the iframe, the init message and the message handler
+ */
+export function connect({ iframe, message, onMessage }) {
+  target = iframe;
+  init = message;
+  handleMessage = onMessage;
+  setState('connecting');
+
+  clearInterval(heartbeat);
+  heartbeat = setInterval(checkHeartbeat, HEARTBEAT_INTERVAL);
+  window.addEventListener('offline', () => setState('offline'));
+  window.addEventListener('online', () => {
+    attempt = 0;
+    reconnect();
+  });
+
+  reconnect();
+}
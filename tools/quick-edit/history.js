@@ -0,0 +1,118 @@
+// Edits to the same element closer than this (ms) are undone together
+const GROUP_DELAY = 500;
+const DEPTH = 100;
+
+/**
+ * One history for every editor on the page. Entries hold the root node
+ * before and after the change, so undoing replaces the element's content
+ * and syncs it like any other local edit.
+ */
+const done = [];
+const undone = [];
+
+const isLive = (entry) => entry.view.dom.isConnected;
+
+/**
+ * Record a local change
+ * @param {EditorView} view the edited editor
+ * @param {Transaction} tr the applied transaction
+ * @param {Number} selectionBefore the cursor position before the change
+ */
+export function recordChange(view, tr, selectionBefore) {
+  if (!tr.docChanged || tr.getMeta('addToHistory') === false) return;
+
+  const time = Date.now();
+  const last = done.at(-1);
+  undone.length = 0;
+
+  if (last?.view === view && time - last.time < GROUP_DELAY) {
+    last.after = tr.doc;
+    last.selectionAfter = tr.selection.from;
+    last.time = time;
+    return;
+  }
+
+  done.push({
+    view,
+    before: tr.before,
+    after: tr.doc,
+    selectionBefore,
+    selectionAfter: tr.selection.from,
+    time,
+  });
+  if (done.length > DEPTH) done.shift();
+}
+
+/**
+ * A collaborator changed the element, the recorded snapshots would overwrite their work
+ * @param {EditorView} view the editor that received a remote update
+ */
+export function forgetChanges(view) {
+  [done, undone].forEach((stack) => {
+    const kept = stack.filter((entry) => entry.view !== view);
+    stack.splice(0, stack.length, ...kept);
+  });
+}
+
+export function clearHistory() {
+  done.length = 0;
+  undone.length = 0;
+}
+
+function restore(view, doc, pos) {
+  const { state } = view;
+  const tr = state.tr.replaceWith(0, state.doc.content.size, doc.content);
+  const { size } = tr.doc.content;
+  tr.setSelection(state.selection.constructor.near(tr.doc.resolve(Math.min(pos, size))));
+  tr.setMeta('addToHistory', false);
+  view.focus();
+  view.dispatch(tr);
+}
+
+function move(from, to) {
+  // Editors replaced since the change can no longer be restored
+  while (from.length && !isLive(from.at(-1))) from.pop();
+  const entry = from.pop();
+  if (!entry) return null;
+  entry.time = 0;
+  to.push(entry);
+  return entry;
+}
+
+export function undo() {
+  const entry = move(done, undone);
+  if (!entry) return false;
+  restore(entry.view, entry.before, entry.selectionBefore);
+  return true;
+}
+
+export function redo() {
+  const entry = move(undone, done);
+  if (!entry) return false;
+  restore(entry.view, entry.after, entry.selectionAfter);
+  return true;
+}
+
+export const canUndo = () => done.some(isLive);
+
+export const canRedo = () => undone.some(isLive);
+
+/**
+ * Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo, anywhere on the page
+ * @param {KeyboardEvent} event the keydown event
+ */
+export function handleHistoryKeydown(event) {
+  if (event.defaultPrevented || !(event.metaKey || event.ctrlKey) || event.altKey) return;
+  // Form fields (ex: the link popover) keep their own undo
+  if (event.target.closest?.('input, textarea, select')) return;
+
+  const key = event.key.toLowerCase();
+  let action;
+  if (key === 'z') action = event.shiftKey ? redo : undo;
+  if (key === 'y' && !event.shiftKey) action = redo;
+  if (!action) return;
+
+  // Never fall back to the browser's history, it does not know about the document
+  event.preventDefault();
+  action();
+}
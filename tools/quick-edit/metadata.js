@@ -0,0 +1,216 @@
+import { readBlockConfig } from '../../scripts/ak.js';
+import { getSections, sendStructure } from './structure.js';
+
+const SIZES = ['xs', 's', 'm', 'l', 'xl', 'xxl'];
+
+// The values section-metadata.css has styles for
+const FIELDS = [
+  { key: 'grid', label: 'Grid', options: ['2', '3', '4', '5', '6'] },
+  { key: 'gap', label: 'Gap', options: SIZES },
+  { key: 'spacing', label: 'Spacing', options: SIZES },
+  { key: 'container', label: 'Container', options: ['2', '4', '6'] },
+];
+
+const BACKGROUND_KEYS = ['background', 'background-color'];
+
+let panel;
+let focused = null;
+
+/**
+ * The section-metadata block removes itself once applied,
+ * section.blocks still holds it with the authored rows.
+ */
+function getMetadata(section) {
+  const block = section.blocks?.find((el) => el.dataset.blockName === 'section-metadata');
+  return block ? readBlockConfig(block) : {};
+}
+
+function getRules(sheet) {
+  try {
+    return [...sheet.cssRules];
+  } catch {
+    // Stylesheets from other origins can not be read
+    return [];
+  }
+}
+
+function getColorTokens() {
+  const tokens = new Set();
+  for (const sheet of document.styleSheets) {
+    for (const rule of getRules(sheet)) {
+      if (rule.selectorText === ':root') {
+        [...rule.style]
+          .filter((prop) => prop.startsWith('--color-'))
+          .forEach((prop) => tokens.add(prop));
+      }
+    }
+  }
+  return [...tokens];
+}
+
+function getFocusedSection() {
+  if (!focused) return null;
+  const sections = getSections();
+  // Sections DA changed load again in the same place
+  if (!focused.section.isConnected) focused.section = sections[focused.index];
+  focused.index = sections.indexOf(focused.section);
+  return focused.section;
+}
+
+function createField(label, ...controls) {
+  const field = document.createElement('div');
+  field.className = 'quick-edit-panel-field';
+  const title = document.createElement('span');
+  title.className = 'quick-edit-panel-label';
+  title.textContent = label;
+  field.append(title, ...controls);
+  return field;
+}
+
+function createInput(value, onChange) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.addEventListener('change', () => onChange(input.value.trim()));
+  return input;
+}
+
+function createSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  // Keep values authored outside of the known options
+  const values = ['', ...options, ...(value && !options.includes(value) ? [value] : [])];
+  for (const optionValue of values) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = optionValue || 'None';
+    select.append(option);
+  }
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function createColorPicker(value, onChange) {
+  const picker = document.createElement('div');
+  picker.className = 'quick-edit-panel-colors';
+  for (const token of getColorTokens()) {
+    const tokenValue = token.replace('--color', 'color-token');
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.title = token.replace('--color-', '');
+    swatch.style.background = `var(${token})`;
+    swatch.classList.toggle('active', value === tokenValue);
+    swatch.addEventListener('click', () => onChange(tokenValue));
+    picker.append(swatch);
+  }
+  return picker;
+}
+
+function render() {
+  const section = getFocusedSection();
+  panel.hidden = !section;
+  if (!section) return;
+
+  const { index } = focused;
+  const metadata = getMetadata(section);
+  const getText = (key) => metadata[key]?.text.toLowerCase() || '';
+
+  // Controls go back to the live value when DA can not take the change
+  const setMetadata = (key, value) => {
+    const op = { action: 'set-metadata', section: index, metadata: { [key]: value } };
+    if (!sendStructure(op)) render();
+  };
+
+  const heading = document.createElement('p');
+  heading.className = 'quick-edit-panel-heading';
+  heading.textContent = `Section ${index + 1}`;
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'quick-edit-panel-close';
+  close.title = 'Close';
+  close.textContent = '×';
+  close.addEventListener('click', () => {
+    focused = null;
+    render();
+  });
+  heading.append(close);
+
+  const fields = [
+    createField('Style', createInput(getText('style'), (value) => setMetadata('style', value))),
+    ...FIELDS.map(({ key, label, options }) => createField(
+      label,
+      createSelect(options, getText(key), (value) => setMetadata(key, value)),
+    )),
+  ];
+
+  const bgKey = BACKGROUND_KEYS.find((key) => metadata[key]) || 'background';
+  if (metadata[bgKey]?.content.querySelector('picture')) {
+    const note = document.createElement('p');
+    note.textContent = 'Background images are edited in the document.';
+    fields.push(createField('Background', note));
+  } else {
+    const setBackground = (value) => setMetadata(bgKey, value);
+    fields.push(createField(
+      'Background',
+      createColorPicker(getText(bgKey), setBackground),
+      createInput(getText(bgKey), setBackground),
+    ));
+  }
+
+  const block = section.blocks?.[focused.block];
+  if (block?.isConnected && block.options) {
+    const setOptions = (value) => {
+      const variants = value.split(',')
+        .map((variant) => variant.trim().replaceAll(' ', '-'))
+        .filter(Boolean);
+      const op = { action: 'set-block-options', section: index, block: focused.block, variants };
+      if (!sendStructure(op)) render();
+    };
+    fields.push(createField(
+      `${block.dataset.blockName} options`,
+      createInput(block.options.variants.join(', '), setOptions),
+    ));
+  }
+
+  panel.replaceChildren(heading, ...fields);
+}
+
+function focusSection(el) {
+  const section = el.closest?.('main > .section');
+  if (!section) return;
+  const block = section.blocks?.find((candidate) => candidate.contains(el));
+  const index = getSections().indexOf(section);
+  const blockIdx = block ? section.blocks.indexOf(block) : -1;
+  if (focused?.section === section && focused.block === blockIdx) return;
+  focused = { section, index, block: blockIdx };
+  render();
+}
+
+/**
+ * Show the panel again once DA sent the section back
+ */
+export function refreshMetadataPanel() {
+  if (panel && focused) render();
+}
+
+/**
+ * Edit the metadata of the focused section and the options of its focused block.
+ * Called each time DA sends the page, as main is replaced.
+ */
+export function setupMetadataPanel() {
+  const main = document.querySelector('main');
+  if (!main) return;
+
+  if (!panel) {
+    panel = document.createElement('aside');
+    panel.className = 'quick-edit-panel';
+    panel.setAttribute('aria-label', 'Section metadata');
+    // Outside of body, which is replaced each time DA sends the page
+    document.documentElement.append(panel);
+  }
+  focused = null;
+  render();
+
+  main.addEventListener('focusin', (e) => focusSection(e.target));
+  main.addEventListener('click', (e) => focusSection(e.target));
+}
@@ -1,14 +1,17 @@
-const hostname = window.location.hostname;
-let initialized = false;
-
 import { loadStyle } from '../../scripts/ak.js';
 import { loadPage } from '../../scripts/scripts.js';
 import { getSchema } from 'https://main--da-live--adobe.aem.live/blocks/edit/prose/schema.js';
 import { EditorState, EditorView } from 'https://main--da-live--adobe.aem.live/deps/da-y-wrapper/dist/index.js';
-import { showToolbar, hideToolbar, setCurrentEditorView, updateToolbarState, handleToolbarKeydown, positionToolbar } from './toolbar.js';
+import { showToolbar, hideToolbar, setCurrentEditorView, updateToolbarState, handleToolbarKeydown, positionToolbar, isToolbarTarget } from './toolbar.js';
 import { createSimpleKeymap } from './simple-keymap.js';
+import { recordChange, forgetChanges, clearHistory, handleHistoryKeydown } from './history.js';
+import * as connection from './connection.js';
+import { setupStructureControls, updateStructure, cancelStructure } from './structure.js';
+import { setupMetadataPanel, refreshMetadataPanel } from './metadata.js';
 
+const hostname = window.location.hostname;
 let remoteUpdate = false;
+let pageLoaded = false;
 
 loadStyle('/tools/quick-edit/quick-edit.css');
 
@@ -18,21 +21,8 @@ const QUICK_EDIT_SRC =
     ? "https://main--da-live--adobe.aem.live/drafts/wysiwyg/init?nx=da-fusion"
     : `https://main--da-live--adobe.aem.live/drafts/wysiwyg/init?nx=local&ref=local`;
 
-function pollConnection(action) {
-  initialized = false;
-  let count = 0;
-  const interval = setInterval(() => {
-    count += 1;
-    if (initialized || count > 20) {
-      clearInterval(interval);
-      return;
-    }
-    action?.();
-  }, 500);
-}
-
-function setupContentEditableListeners(port) {
-  const editableElements = document.querySelectorAll('[data-cursor]');
+function setupContentEditableListeners(port, root = document) {
+  const editableElements = root.querySelectorAll('[data-cursor]');
   editableElements.forEach((element) => {
     const dataCursor = parseInt(element.getAttribute('data-cursor'), 10);
 
@@ -43,8 +33,8 @@ function setupContentEditableListeners(port) {
   });
 }
 
-function setupImageDropListeners(port) {
-  const images = document.querySelectorAll('main picture img');
+function setupImageDropListeners(port, root = document.querySelector('main')) {
+  const images = root.querySelectorAll('picture img');
 
   images.forEach((img) => {
     const picture = img.closest('picture');
@@ -267,21 +257,27 @@ function createProsemirrorEditor(cursorOffset, state, port1) {
     editorParent.setAttribute('data-cursor-remote-color', element.getAttribute('data-cursor-remote-color'));
   }
 
+  const leaveEditor = () => {
+    hideToolbar();
+    setCurrentEditorView(null);
+    port1.postMessage({
+      type: 'cursor-move',
+    });
+  };
+
   const editorView = new EditorView(
     editorParent, { 
       state: editorState,
       handleDOMEvents: {
         focus: (view, event) => {
-          setCurrentEditorView(view);
+          setCurrentEditorView(view, leaveEditor);
           showToolbar();
           return false;
         },
         blur: (view, event) => {
-          hideToolbar();
-          setCurrentEditorView(null);
-          port1.postMessage({
-            type: 'cursor-move',
-          });
+          // Toolbar controls (ex: the link popover) keep the editor active
+          if (isToolbarTarget(event.relatedTarget)) return false;
+          leaveEditor();
           return false; // Let other handlers run
         },
         keydown: (view, event) => {
@@ -297,7 +293,13 @@ function createProsemirrorEditor(cursorOffset, state, port1) {
         editorView.updateState(newState);
         updateInstrumentation(newState.doc.firstChild.nodeSize - oldLength, currentCursorOffset);
 
-        if (remoteUpdate) { return; }
+        if (remoteUpdate) {
+          // Never undo a collaborator's change
+          if (tr.docChanged) forgetChanges(editorView);
+          return;
+        }
+
+        recordChange(editorView, tr, oldSelection);
         
         if (numChanges > 0) {
           const editedEl = newState.doc.firstChild;
@@ -329,6 +331,15 @@ function createProsemirrorEditor(cursorOffset, state, port1) {
   setRemoteCursors();
 }
 
+// Editors need every block decorated, not only the ones in view
+function disableDeferral() {
+  if (document.head.querySelector('meta[name="defer"]')) return;
+  const meta = document.createElement('meta');
+  meta.name = 'defer';
+  meta.content = 'off';
+  document.head.append(meta);
+}
+
 function setupCloseButton() {
   const button = document.createElement('button');
   button.className = 'quick-edit-close';
@@ -344,75 +355,87 @@ function setupCloseButton() {
   document.body.appendChild(button);
 }
 
-function handleLoad({ target, config, location }) {
-  const CHANNEL = new MessageChannel();
-  const { port1, port2 } = CHANNEL;
-
-  target.contentWindow.postMessage({ init: config, location }, "*", [port2]);
+// Messages go through the connection so node updates survive a lost channel
+async function handleMessage(e) {
+  // DA sends the page again on each new channel, the loaded page and its editors stay
+  if (e.data.set && e.data.set === 'body' && !pageLoaded) {
+    pageLoaded = true;
+    const doc = new DOMParser().parseFromString(e.data.body, 'text/html');
+    document.body.innerHTML = doc.body.innerHTML;
+    clearHistory();
+    disableDeferral();
+    await loadPage();
+    setupContentEditableListeners(connection);
+    setupImageDropListeners(connection);
+    setupCloseButton();
+    setupStructureControls();
+    setupMetadataPanel();
+    document.addEventListener('keydown', handleHistoryKeydown);
+  }
 
-  port1.onmessage = async (e) => {
-    initialized = true;
+  if (e.data.set === 'structure') {
+    await updateStructure(e.data.body, (section) => {
+      setupContentEditableListeners(connection, section);
+      setupImageDropListeners(connection, section);
+    });
+    setRemoteCursors();
+    refreshMetadataPanel();
+  }
 
-    if (e.data.set && e.data.set === 'body') {
-      const doc = new DOMParser().parseFromString(e.data.body, 'text/html');
-      document.body.innerHTML = doc.body.innerHTML;
-      await loadPage();
-      setupContentEditableListeners(port1);
-      setupImageDropListeners(port1);
-      setupCloseButton();
-    }
+  if (e.data.set === 'structure-error') {
+    cancelStructure(e.data.error);
+  }
 
-    if (e.data.set === 'editor') {
-      const { editor, cursorOffset } = e.data;
-      createProsemirrorEditor(cursorOffset, editor, port1);
-    }
+  if (e.data.set === 'editor') {
+    const { editor, cursorOffset } = e.data;
+    createProsemirrorEditor(cursorOffset, editor, connection);
+  }
 
-    if (e.data.set === 'cursors') {
-      const doc = new DOMParser().parseFromString(e.data.body, 'text/html');
-      
-      // Remove all existing data-cursor attributes from current document
-      const currentElements = document.querySelectorAll('[data-cursor-remote]');
-      currentElements.forEach((element) => {
-        element.removeAttribute('data-cursor-remote');
-        element.removeAttribute('data-cursor-remote-color');
-      });
-      
-      // Get all elements with data-cursor from the parsed doc
-      const parsedElements = doc.querySelectorAll('[data-cursor-remote]');
+  if (e.data.set === 'cursors') {
+    const doc = new DOMParser().parseFromString(e.data.body, 'text/html');
+    
+    // Remove all existing data-cursor attributes from current document
+    const currentElements = document.querySelectorAll('[data-cursor-remote]');
+    currentElements.forEach((element) => {
+      element.removeAttribute('data-cursor-remote');
+      element.removeAttribute('data-cursor-remote-color');
+    });
+    
+    // Get all elements with data-cursor from the parsed doc
+    const parsedElements = doc.querySelectorAll('[data-cursor-remote]');
+    
+    // For each element in parsed doc, find matching element in current doc by data-cursor
+    parsedElements.forEach((parsedElement) => {
+      const remoteCursorValue = parsedElement.getAttribute('data-cursor-remote');
+      const remoteCursorColor = parsedElement.getAttribute('data-cursor-remote-color');
+      const dataCursor = parsedElement.getAttribute('data-cursor');
       
-      // For each element in parsed doc, find matching element in current doc by data-cursor
-      parsedElements.forEach((parsedElement) => {
-        const remoteCursorValue = parsedElement.getAttribute('data-cursor-remote');
-        const remoteCursorColor = parsedElement.getAttribute('data-cursor-remote-color');
-        const dataCursor = parsedElement.getAttribute('data-cursor');
-        
-        // Find element in current document with the same data-cursor value
-        if (dataCursor) {
-          const matchingElement = document.querySelector(`[data-cursor="${dataCursor}"]`);
-          if (matchingElement) {
-            matchingElement.setAttribute('data-cursor-remote', remoteCursorValue);
-            matchingElement.setAttribute('data-cursor-remote-color', remoteCursorColor);
-          }
+      // Find element in current document with the same data-cursor value
+      if (dataCursor) {
+        const matchingElement = document.querySelector(`[data-cursor="${dataCursor}"]`);
+        if (matchingElement) {
+          matchingElement.setAttribute('data-cursor-remote', remoteCursorValue);
+          matchingElement.setAttribute('data-cursor-remote-color', remoteCursorColor);
         }
-      });
-      
-      setRemoteCursors();
-    }
+      }
+    });
+    
+    setRemoteCursors();
+  }
 
-    if (e.data.set === 'image') {
-      const { newSrc, originalSrc } = e.data;
-      updateImageSrc(originalSrc, newSrc);
-    }
+  if (e.data.set === 'image') {
+    const { newSrc, originalSrc } = e.data;
+    updateImageSrc(originalSrc, newSrc);
+  }
 
-    if (e.data.set === 'image-error') {
-      // Remove loading state on error
-      const images = document.querySelectorAll('main picture.image-uploading');
-      images.forEach((picture) => {
-        picture.classList.remove('image-uploading');
-      });
-      console.error('Image upload failed:', e.data.error);
-    }
-  };
+  if (e.data.set === 'image-error') {
+    // Remove loading state on error
+    const images = document.querySelectorAll('main picture.image-uploading');
+    images.forEach((picture) => {
+      picture.classList.remove('image-uploading');
+    });
+    console.error('Image upload failed:', e.data.error);
+  }
 }
 
 export default async function loadQuickEdit({ detail: payload }) {
@@ -423,10 +446,13 @@ export default async function loadQuickEdit({ detail: payload }) {
   iframe.src = QUICK_EDIT_SRC;
   iframe.allow = "local-network-access *; clipboard-write *";
 
-  pollConnection(() => {
-    handleLoad({ target: iframe, config: payload.config, location: payload.location });
-  });
   document.documentElement.append(iframe);
   iframe.id = 'quick-edit-iframe';
   iframe.style.visibility = 'hidden';
+
+  connection.connect({
+    iframe,
+    message: { init: payload.config, location: payload.location },
+    onMessage: handleMessage,
+  });
 }
@@ -0,0 +1,358 @@
+import { loadArea } from '../../scripts/ak.js';
+import { postMessage, getState } from './connection.js';
+
+// Give up on an operation DA never answered (ms)
+const STRUCTURE_TIMEOUT = 10000;
+
+// How long a failed operation is shown (ms)
+const ERROR_DURATION = 5000;
+
+let sectionBar;
+let blockBar;
+let dropLine;
+let notice;
+let target = {};
+let dragged = null;
+let drop = null;
+let pendingOp = null;
+let timeout;
+let noticeTimeout;
+
+const getMain = () => document.querySelector('main');
+
+export const getSections = () => [...document.querySelectorAll('main > .section')];
+
+/**
+ * Blocks are addressed by their index in the source section. section.blocks keeps that order,
+ * even for blocks that removed themselves (ex: section-metadata).
+ */
+const getBlockIndex = (section, block) => section.blocks?.indexOf(block) ?? -1;
+
+function findBlock(section, el) {
+  return section?.blocks?.find((block) => block.isConnected && block.contains(el));
+}
+
+function clearTarget() {
+  target.section?.classList.remove('quick-edit-structure-target');
+  target.block?.classList.remove('quick-edit-structure-target');
+}
+
+function positionBars() {
+  const { section, block } = target;
+  sectionBar.hidden = !section?.isConnected;
+  blockBar.hidden = !block?.isConnected;
+  if (!sectionBar.hidden) {
+    const rect = section.getBoundingClientRect();
+    sectionBar.style.top = `${Math.max(rect.top, 0)}px`;
+    sectionBar.style.left = `${rect.left}px`;
+  }
+  if (!blockBar.hidden) {
+    const rect = block.getBoundingClientRect();
+    blockBar.style.top = `${Math.max(rect.top, 0)}px`;
+    blockBar.style.left = `${rect.right - blockBar.offsetWidth}px`;
+  }
+}
+
+function setTarget(section, block) {
+  if (target.section === section && target.block === block) return;
+  clearTarget();
+  target = { section, block };
+  section?.classList.add('quick-edit-structure-target');
+  block?.classList.add('quick-edit-structure-target');
+  positionBars();
+}
+
+/**
+ * Map each section DA sends back to the section it was before the operation.
+ * Sections an operation changed are -1 and load again.
+ * @param {Object} op the operation
+ * @param {Number} count the number of sections before the operation
+ * @returns {Array} the previous index of each section
+ */
+function getOrder(op, count) {
+  const order = [...Array(count).keys()];
+  if (!op) return order;
+
+  const { action, section, to } = op;
+  if (action === 'insert-section') order.splice(section + 1, 0, -1);
+  if (action === 'delete-section') order.splice(section, 1);
+  if (action === 'move-section') {
+    order.splice(section, 1);
+    order.splice(to > section ? to - 1 : to, 0, section);
+  }
+  if (['duplicate-block', 'delete-block', 'set-metadata', 'set-block-options'].includes(action)) {
+    order[section] = -1;
+  }
+  if (action === 'move-block') {
+    order[section] = -1;
+    order[to.section] = -1;
+  }
+  return order;
+}
+
+/**
+ * Operations shift the cursor offsets of everything after them.
+ * Copy the new offsets to an unchanged section, in document order.
+ * @returns {Boolean} false when the section no longer matches and has to load again
+ */
+function syncCursors(section, source) {
+  const offsets = [...source.querySelectorAll('[data-cursor]')]
+    .filter((el) => !el.closest('.section-metadata'))
+    .map((el) => el.getAttribute('data-cursor'));
+  const elements = section.querySelectorAll('[data-cursor]');
+  if (offsets.length !== elements.length) return false;
+  elements.forEach((el, idx) => el.setAttribute('data-cursor', offsets[idx]));
+  return true;
+}
+
+async function loadSection(source) {
+  const area = document.createElement('div');
+  area.append(source);
+  await loadArea({ area });
+  return area.firstElementChild;
+}
+
+function finishOp() {
+  clearTimeout(timeout);
+  pendingOp = null;
+  getMain()?.classList.remove('quick-edit-structure-busy');
+}
+
+function showError(message) {
+  if (!notice) return;
+  notice.textContent = message;
+  notice.hidden = false;
+  clearTimeout(noticeTimeout);
+  noticeTimeout = setTimeout(() => { notice.hidden = true; }, ERROR_DURATION);
+}
+
+/**
+ * Send a structural operation to DA. Indexes are those of the sections in main
+ * and of the blocks in their section, as authored.
+ * @param {Object} op the action and its section, block and destination
+ * @returns {Boolean} false when another operation is running or DA is not connected
+ */
+export function sendStructure(op) {
+  if (getState() !== 'connected') {
+    showError('The change could not be made: not connected to DA');
+    return false;
+  }
+  if (pendingOp) {
+    showError('The change could not be made: another change is still being made');
+    return false;
+  }
+  pendingOp = op;
+  getMain().classList.add('quick-edit-structure-busy');
+  timeout = setTimeout(finishOp, STRUCTURE_TIMEOUT);
+  postMessage({ type: 'structure', ...op });
+  return true;
+}
+
+/**
+ * Apply the page DA sends back after an operation,
+ * loading only the sections that changed.
+ * @param {String} body the updated body html
+ * @param {Function} onLoaded called with each section that loaded again
+ */
+export async function updateStructure(body, onLoaded) {
+  const main = getMain();
+  const doc = new DOMParser().parseFromString(body, 'text/html');
+  const sources = [...doc.querySelectorAll('main > div')];
+  const current = getSections();
+  const order = getOrder(pendingOp, current.length);
+
+  const loaded = [];
+  const sections = await Promise.all(sources.map(async (source, idx) => {
+    const existing = current[order[idx]];
+    if (existing && syncCursors(existing, source)) return existing;
+    const section = await loadSection(source);
+    loaded.push(section);
+    return section;
+  }));
+
+  // Editors in replaced sections are about to go away
+  if (main.contains(document.activeElement)) document.activeElement.blur();
+  clearTarget();
+  target = {};
+  main.replaceChildren(...sections);
+  positionBars();
+  finishOp();
+  loaded.forEach(onLoaded);
+}
+
+/**
+ * DA could not apply the operation, the page stays as it was
+ * @param {String} error the reason DA sent
+ */
+export function cancelStructure(error) {
+  finishOp();
+  showError(error ? `The change could not be made: ${error}` : 'The change could not be made');
+}
+
+function showDropLine(rect, before) {
+  dropLine.hidden = false;
+  dropLine.style.top = `${before ? rect.top : rect.bottom}px`;
+  dropLine.style.left = `${rect.left}px`;
+  dropLine.style.width = `${rect.width}px`;
+}
+
+function getDrop(e) {
+  const sections = getSections();
+  const section = e.target.closest?.('main > .section');
+  if (!section) return null;
+  const sectionIdx = sections.indexOf(section);
+
+  if (dragged.kind === 'section') {
+    const rect = section.getBoundingClientRect();
+    const before = e.clientY < rect.top + rect.height / 2;
+    return { rect, before, to: sectionIdx + (before ? 0 : 1) };
+  }
+
+  const block = findBlock(section, e.target);
+  if (!block) {
+    // Anywhere else in a section adds the block at its end
+    const rect = section.getBoundingClientRect();
+    return { rect, before: false, to: { section: sectionIdx, block: section.blocks.length } };
+  }
+  const rect = block.getBoundingClientRect();
+  const before = e.clientY < rect.top + rect.height / 2;
+  const blockIdx = getBlockIndex(section, block) + (before ? 0 : 1);
+  return { rect, before, to: { section: sectionIdx, block: blockIdx } };
+}
+
+function isMove({ section, block }, to) {
+  if (block === undefined) return to !== section && to !== section + 1;
+  return to.section !== section || (to.block !== block && to.block !== block + 1);
+}
+
+function handleDragOver(e) {
+  if (!dragged) return;
+  // Keep image drop targets out of structural drags
+  e.preventDefault();
+  e.stopPropagation();
+  drop = getDrop(e);
+  if (!drop) {
+    dropLine.hidden = true;
+    return;
+  }
+  e.dataTransfer.dropEffect = 'move';
+  showDropLine(drop.rect, drop.before);
+}
+
+function handleDrop(e) {
+  if (!dragged) return;
+  e.preventDefault();
+  e.stopPropagation();
+  const { kind, ...from } = dragged;
+  if (!drop || !isMove(from, drop.to)) return;
+  sendStructure({ action: `move-${kind}`, ...from, to: drop.to });
+}
+
+function endDrag() {
+  dragged = null;
+  drop = null;
+  dropLine.hidden = true;
+}
+
+function createHandle(kind) {
+  const handle = document.createElement('button');
+  handle.className = 'quick-edit-structure-handle';
+  handle.title = `Drag to move the ${kind}`;
+  handle.textContent = '⠿';
+  handle.draggable = true;
+  handle.addEventListener('dragstart', (e) => {
+    const { section, block } = target;
+    const sectionIdx = getSections().indexOf(section);
+    dragged = kind === 'section'
+      ? { kind, section: sectionIdx }
+      : { kind, section: sectionIdx, block: getBlockIndex(section, block) };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', '');
+    e.dataTransfer.setDragImage(target[kind], 0, 0);
+  });
+  handle.addEventListener('dragend', endDrag);
+  return handle;
+}
+
+function createAction(label, action) {
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  btn.addEventListener('click', () => {
+    const { section, block } = target;
+    const sectionIdx = getSections().indexOf(section);
+    if (sectionIdx === -1) return;
+    action(sectionIdx, block && getBlockIndex(section, block));
+  });
+  return btn;
+}
+
+function createBar(kind, actions) {
+  const bar = document.createElement('div');
+  bar.className = `quick-edit-structure quick-edit-structure-${kind}`;
+  bar.hidden = true;
+  bar.append(createHandle(kind), ...actions);
+  document.documentElement.append(bar);
+  return bar;
+}
+
+function createControls() {
+  if (sectionBar) return;
+
+  sectionBar = createBar('section', [
+    createAction('+ Section', (section) => sendStructure({ action: 'insert-section', section })),
+    createAction('Delete section', (section) => {
+      // eslint-disable-next-line no-alert
+      if (!window.confirm('Delete this section?')) return;
+      sendStructure({ action: 'delete-section', section });
+    }),
+  ]);
+
+  blockBar = createBar('block', [
+    createAction('Duplicate', (section, block) => {
+      sendStructure({ action: 'duplicate-block', section, block });
+    }),
+    createAction('Delete', (section, block) => {
+      // eslint-disable-next-line no-alert
+      if (!window.confirm('Delete this block?')) return;
+      sendStructure({ action: 'delete-block', section, block });
+    }),
+  ]);
+
+  dropLine = document.createElement('div');
+  dropLine.className = 'quick-edit-drop-line';
+  dropLine.hidden = true;
+  document.documentElement.append(dropLine);
+
+  notice = document.createElement('div');
+  notice.className = 'quick-edit-structure-error';
+  notice.setAttribute('role', 'alert');
+  notice.hidden = true;
+  document.documentElement.append(notice);
+
+  window.addEventListener('scroll', positionBars, true);
+  window.addEventListener('resize', positionBars);
+}
+
+/**
+ * Show controls to add, remove and reorder the sections and blocks of main.
+ * Called each time DA sends the page, as main is replaced.
+ */
+export function setupStructureControls() {
+  const main = getMain();
+  if (!main) return;
+  createControls();
+  finishOp();
+  clearTarget();
+  target = {};
+  positionBars();
+
+  main.addEventListener('mouseover', (e) => {
+    if (dragged) return;
+    const section = e.target.closest('main > .section');
+    if (section) setTarget(section, findBlock(section, e.target));
+  });
+  // Capture, so image drop targets do not see structural drags
+  main.addEventListener('dragenter', handleDragOver, true);
+  main.addEventListener('dragover', handleDragOver, true);
+  main.addEventListener('drop', handleDrop, true);
+}
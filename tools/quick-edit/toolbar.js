@@ -1,138 +1,379 @@
+import { undo, redo, canUndo, canRedo } from './history.js';
+
 let floatingToolbar = null;
 let currentEditorView = null;
 let scrollListener = null;
+let leaveEditor = null;
 
-function createFloatingToolbar() {
-  if (floatingToolbar) return floatingToolbar;
-  
-  const toolbar = document.createElement('div');
-  toolbar.className = 'prosemirror-floating-toolbar';
-  
-  const boldBtn = document.createElement('button');
-  boldBtn.textContent = 'Bold';
-  boldBtn.className = 'toolbar-btn toolbar-btn-bold';
-  boldBtn.onmousedown = (e) => {
-    e.preventDefault(); // Prevent focus loss
-    toggleMark('strong');
-  };
-  
-  const italicBtn = document.createElement('button');
-  italicBtn.textContent = 'Italic';
-  italicBtn.className = 'toolbar-btn toolbar-btn-italic';
-  italicBtn.onmousedown = (e) => {
-    e.preventDefault(); // Prevent focus loss
-    toggleMark('em');
-  };
-  
-  const underlineBtn = document.createElement('button');
-  underlineBtn.textContent = 'Underline';
-  underlineBtn.className = 'toolbar-btn toolbar-btn-underline';
-  underlineBtn.onmousedown = (e) => {
-    e.preventDefault(); // Prevent focus loss
-    toggleMark('u');
-  };
-  
-  toolbar.appendChild(boldBtn);
-  toolbar.appendChild(italicBtn);
-  toolbar.appendChild(underlineBtn);
-  document.body.appendChild(toolbar);
-  
-  floatingToolbar = toolbar;
-  return toolbar;
+// Names differ between schemas, the first one found is used
+const MARKS = [
+  { name: 'bold', label: 'Bold', marks: ['strong'] },
+  { name: 'italic', label: 'Italic', marks: ['em'] },
+  { name: 'underline', label: 'Underline', marks: ['u'] },
+  // Strikethrough links are decorated as negative buttons
+  { name: 'strike', label: 'Strike', marks: ['s', 'del', 'strike'] },
+];
+
+const LISTS = [
+  { name: 'bullet', label: '• List', node: 'bullet_list' },
+  { name: 'ordered', label: '1. List', node: 'ordered_list' },
+];
+
+// Hash flags that decorateHash in ak.js removes from links
+const LINK_FLAGS = [
+  { hash: '#_blank', label: 'Open in a new tab' },
+  { hash: '#_dnt', label: 'Do not translate' },
+];
+
+function getMarkType(schema, names) {
+  const name = names.find((markName) => schema.marks[markName]);
+  return name ? schema.marks[name] : null;
 }
 
-function toggleMark(markType) {
+function isMarkActive(state, markType) {
+  const { selection, storedMarks } = state;
+  if (selection.empty) {
+    // Check stored marks or marks at cursor position
+    return !!markType.isInSet(storedMarks || selection.$from.marks());
+  }
+  // Check if the selection has the mark
+  return state.doc.rangeHasMark(selection.from, selection.to, markType);
+}
+
+function toggleMark(names) {
   if (!currentEditorView) return;
-  
+
   const { state, dispatch } = currentEditorView;
-  const { schema, selection, tr, storedMarks } = state;
-  const mark = schema.marks[markType];
-  
+  const { selection, tr } = state;
+  const mark = getMarkType(state.schema, [].concat(names));
+
   if (!mark) return;
-  
+
+  const hasMark = isMarkActive(state, mark);
   if (selection.empty) {
     // No selection - toggle stored marks for future typing
-    const activeMarks = storedMarks || selection.$from.marks();
-    const hasMark = activeMarks.some(m => m.type === mark);
-    
-    if (hasMark) {
-      dispatch(tr.removeStoredMark(mark));
-    } else {
-      dispatch(tr.addStoredMark(mark.create()));
-    }
+    dispatch(hasMark ? tr.removeStoredMark(mark) : tr.addStoredMark(mark.create()));
   } else {
     // Has selection - toggle mark on selected text
-    const hasMark = state.doc.rangeHasMark(selection.from, selection.to, mark);
-    
-    if (hasMark) {
-      dispatch(tr.removeMark(selection.from, selection.to, mark));
-    } else {
-      dispatch(tr.addMark(selection.from, selection.to, mark.create()));
+    dispatch(hasMark
+      ? tr.removeMark(selection.from, selection.to, mark)
+      : tr.addMark(selection.from, selection.to, mark.create()));
+  }
+}
+
+function clearFormatting() {
+  if (!currentEditorView) return;
+
+  const { state, dispatch } = currentEditorView;
+  const { schema, selection, doc, tr } = state;
+
+  // Without a selection, clear the whole element
+  const from = selection.empty ? 0 : selection.from;
+  const to = selection.empty ? doc.content.size : selection.to;
+
+  // Links are content, not formatting
+  Object.values(schema.marks)
+    .filter((markType) => markType !== schema.marks.link)
+    .forEach((markType) => tr.removeMark(from, to, markType));
+  dispatch(tr.setStoredMarks([]));
+}
+
+function setHeading(level) {
+  if (!currentEditorView) return;
+
+  const { state, dispatch } = currentEditorView;
+  const { schema, doc } = state;
+  if (!doc.firstChild.isTextblock) return;
+
+  const type = level ? schema.nodes.heading : schema.nodes.paragraph;
+  if (!type) return;
+  dispatch(state.tr.setBlockType(0, doc.content.size, type, level ? { level } : null));
+}
+
+function isList(schema, node) {
+  return LISTS.some((list) => node.type === schema.nodes[list.node]);
+}
+
+/**
+ * Each edit syncs a single root node, so lists toggle on the whole element:
+ * a paragraph or heading becomes a one item list, a one item list becomes a paragraph
+ * and a list of several items can only switch between bullets and numbers.
+ */
+function toggleList(nodeName) {
+  if (!currentEditorView) return;
+
+  const { state, dispatch } = currentEditorView;
+  const { schema, doc, selection, tr } = state;
+  const { list_item: itemType, paragraph } = schema.nodes;
+  const listType = schema.nodes[nodeName];
+  const root = doc.firstChild;
+
+  if (!(listType && itemType && paragraph)) return;
+
+  let shift = 0;
+  if (root.type === listType) {
+    const item = root.firstChild;
+    if (root.childCount !== 1 || item.childCount !== 1) return;
+    tr.replaceWith(0, doc.content.size, item.firstChild);
+    shift = -2;
+  } else if (isList(schema, root)) {
+    tr.setNodeMarkup(0, listType);
+  } else if (root.isTextblock) {
+    const item = itemType.create(null, paragraph.create(null, root.content));
+    tr.replaceWith(0, doc.content.size, listType.create(null, item));
+    shift = 2;
+  } else {
+    return;
+  }
+
+  const pos = Math.min(Math.max(selection.from + shift, 0), tr.doc.content.size);
+  tr.setSelection(selection.constructor.near(tr.doc.resolve(pos)));
+  dispatch(tr);
+}
+
+/**
+ * Find the link around the cursor
+ * @returns {Object} the from and to positions and the link mark, or null
+ */
+function getLinkRange(state) {
+  const { schema, selection } = state;
+  const linkType = schema.marks.link;
+  if (!linkType) return null;
+
+  const { $from } = selection;
+  const start = $from.start();
+  const segments = [];
+  $from.parent.forEach((child, offset) => {
+    const from = start + offset;
+    segments.push({ from, to: from + child.nodeSize, mark: linkType.isInSet(child.marks) });
+  });
+
+  const idx = segments.findIndex(({ from, to, mark }) => mark
+    && from <= selection.from && selection.from <= to);
+  if (idx === -1) return null;
+
+  // Links split by other marks (ex: a bold word) are still one link
+  const { mark } = segments[idx];
+  let first = idx;
+  let last = idx;
+  while (segments[first - 1]?.mark?.eq(mark)) first -= 1;
+  while (segments[last + 1]?.mark?.eq(mark)) last += 1;
+  return { from: segments[first].from, to: segments[last].to, mark };
+}
+
+function splitHref(href = '') {
+  const flags = LINK_FLAGS.filter(({ hash }) => href.includes(hash)).map(({ hash }) => hash);
+  const url = flags.reduce((acc, hash) => acc.replace(hash, ''), href);
+  return { url, flags };
+}
+
+function applyLink(url, flags) {
+  if (!currentEditorView) return;
+
+  const { state, dispatch } = currentEditorView;
+  const { schema, selection, tr } = state;
+  const linkType = schema.marks.link;
+  if (!linkType) return;
+
+  let { from, to } = selection;
+  const existing = getLinkRange(state);
+  if (selection.empty && existing) ({ from, to } = existing);
+
+  if (from === to) {
+    // Nothing to link, use the url as the text
+    tr.insertText(url, from);
+    to = from + url.length;
+  }
+
+  const href = `${url}${flags.join('')}`;
+  tr.removeMark(from, to, linkType).addMark(from, to, linkType.create({ href }));
+  dispatch(tr);
+}
+
+function removeLink() {
+  if (!currentEditorView) return;
+
+  const { state, dispatch } = currentEditorView;
+  const { schema, selection, tr } = state;
+  const range = selection.empty ? getLinkRange(state) : selection;
+  if (!(range && schema.marks.link)) return;
+  dispatch(tr.removeMark(range.from, range.to, schema.marks.link));
+}
+
+function closeLinkPopover({ focus } = {}) {
+  const popover = floatingToolbar?.querySelector('.toolbar-link-popover');
+  if (!popover || popover.hidden) return;
+  popover.hidden = true;
+  if (focus) currentEditorView?.focus();
+}
+
+function openLinkPopover() {
+  if (!(currentEditorView && floatingToolbar)) return;
+
+  const popover = floatingToolbar.querySelector('.toolbar-link-popover');
+  const { url, flags } = splitHref(getLinkRange(currentEditorView.state)?.mark.attrs.href);
+  popover.querySelector('.toolbar-link-url').value = url;
+  popover.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+    input.checked = flags.includes(input.value);
+  });
+  popover.querySelector('.toolbar-link-remove').hidden = !url;
+  popover.hidden = false;
+  popover.querySelector('.toolbar-link-url').focus();
+}
+
+function submitLinkPopover() {
+  const popover = floatingToolbar.querySelector('.toolbar-link-popover');
+  const url = popover.querySelector('.toolbar-link-url').value.trim();
+  const flags = [...popover.querySelectorAll('input[type="checkbox"]:checked')]
+    .map((input) => input.value);
+  if (url) {
+    applyLink(url, flags);
+  } else {
+    removeLink();
+  }
+  closeLinkPopover({ focus: true });
+}
+
+function createButton(name, label, action, title) {
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  if (title) btn.title = title;
+  btn.className = `toolbar-btn toolbar-btn-${name}`;
+  btn.onmousedown = (e) => {
+    e.preventDefault(); // Prevent focus loss
+    action();
+  };
+  return btn;
+}
+
+function createHeadingSelect() {
+  const select = document.createElement('select');
+  select.className = 'toolbar-select toolbar-heading';
+  select.title = 'Text style';
+  const options = [['0', 'Paragraph'], ...[1, 2, 3, 4, 5, 6].map((level) => [`${level}`, `Heading ${level}`])];
+  for (const [value, label] of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.append(option);
+  }
+  select.onchange = () => {
+    setHeading(Number(select.value));
+    currentEditorView?.focus();
+  };
+  return select;
+}
+
+function createLinkPopover() {
+  const popover = document.createElement('div');
+  popover.className = 'toolbar-link-popover';
+  popover.hidden = true;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'toolbar-link-url';
+  input.placeholder = 'https://';
+  input.onkeydown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submitLinkPopover();
     }
+    if (e.key === 'Escape') closeLinkPopover({ focus: true });
+  };
+  popover.append(input);
+
+  for (const { hash, label } of LINK_FLAGS) {
+    const flag = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = hash;
+    flag.append(checkbox, label);
+    popover.append(flag);
+  }
+
+  const apply = createButton('link-apply', 'Apply', submitLinkPopover);
+  const remove = createButton('link-remove', 'Remove', () => {
+    removeLink();
+    closeLinkPopover({ focus: true });
+  });
+  remove.classList.add('toolbar-link-remove');
+  popover.append(apply, remove);
+  return popover;
+}
+
+function createFloatingToolbar() {
+  if (floatingToolbar) return floatingToolbar;
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'prosemirror-floating-toolbar';
+
+  toolbar.append(createHeadingSelect());
+  for (const { name, label, marks } of MARKS) {
+    toolbar.append(createButton(name, label, () => toggleMark(marks)));
+  }
+  toolbar.append(createButton('link', 'Link', openLinkPopover));
+  for (const { name, label, node } of LISTS) {
+    toolbar.append(createButton(name, label, () => toggleList(node)));
   }
+  toolbar.append(createButton('clear', 'Clear', clearFormatting));
+  toolbar.append(
+    createButton('undo', '↶', undo, 'Undo'),
+    createButton('redo', '↷', redo, 'Redo'),
+  );
+  toolbar.append(createLinkPopover());
+
+  // Leaving the toolbar for anything but the editor leaves the editor
+  toolbar.addEventListener('focusout', (e) => {
+    const { relatedTarget } = e;
+    if (toolbar.contains(relatedTarget) || currentEditorView?.dom.contains(relatedTarget)) return;
+    closeLinkPopover();
+    leaveEditor?.();
+  });
+
+  document.body.appendChild(toolbar);
+
+  floatingToolbar = toolbar;
+  return toolbar;
 }
 
 function updateToolbarState() {
   if (!currentEditorView || !floatingToolbar) return;
-  
+
   const { state } = currentEditorView;
-  const { schema, selection, storedMarks } = state;
-  
-  // Get the marks at the current position (includes stored marks)
-  const activeMarks = storedMarks || selection.$from.marks();
-  
-  // Update bold button
-  const boldBtn = floatingToolbar.querySelector('.toolbar-btn-bold');
-  const boldMark = schema.marks.strong;
-  if (boldMark) {
-    let hasBold = false;
-    if (selection.empty) {
-      // Check stored marks or marks at cursor position
-      hasBold = activeMarks.some(m => m.type === boldMark);
-    } else {
-      // Check if the entire selection has the mark
-      hasBold = state.doc.rangeHasMark(selection.from, selection.to, boldMark);
-    }
-    boldBtn.classList.toggle('active', hasBold);
-  }
-  
-  // Update italic button
-  const italicBtn = floatingToolbar.querySelector('.toolbar-btn-italic');
-  const italicMark = schema.marks.em;
-  if (italicMark) {
-    let hasItalic = false;
-    if (selection.empty) {
-      // Check stored marks or marks at cursor position
-      hasItalic = activeMarks.some(m => m.type === italicMark);
-    } else {
-      // Check if the entire selection has the mark
-      hasItalic = state.doc.rangeHasMark(selection.from, selection.to, italicMark);
-    }
-    italicBtn.classList.toggle('active', hasItalic);
+  const { schema, doc } = state;
+  const root = doc.firstChild;
+
+  for (const { name, marks } of MARKS) {
+    const btn = floatingToolbar.querySelector(`.toolbar-btn-${name}`);
+    const markType = getMarkType(schema, marks);
+    btn.hidden = !markType;
+    btn.classList.toggle('active', !!markType && isMarkActive(state, markType));
   }
-  
-  // Update underline button
-  const underlineBtn = floatingToolbar.querySelector('.toolbar-btn-underline');
-  const underlineMark = schema.marks.u;
-  if (underlineMark) {
-    let hasUnderline = false;
-    if (selection.empty) {
-      // Check stored marks or marks at cursor position
-      hasUnderline = activeMarks.some(m => m.type === underlineMark);
-    } else {
-      // Check if the entire selection has the mark
-      hasUnderline = state.doc.rangeHasMark(selection.from, selection.to, underlineMark);
-    }
-    underlineBtn.classList.toggle('active', hasUnderline);
+
+  const linkBtn = floatingToolbar.querySelector('.toolbar-btn-link');
+  linkBtn.hidden = !schema.marks.link;
+  linkBtn.classList.toggle('active', !!getLinkRange(state));
+
+  for (const { name, node } of LISTS) {
+    const btn = floatingToolbar.querySelector(`.toolbar-btn-${name}`);
+    btn.hidden = !schema.nodes[node];
+    btn.classList.toggle('active', root.type === schema.nodes[node]);
   }
+
+  floatingToolbar.querySelector('.toolbar-btn-undo').disabled = !canUndo();
+  floatingToolbar.querySelector('.toolbar-btn-redo').disabled = !canRedo();
+
+  const select = floatingToolbar.querySelector('.toolbar-heading');
+  select.disabled = !root.isTextblock;
+  select.value = root.type === schema.nodes.heading ? `${root.attrs.level}` : '0';
 }
 
 function positionToolbar() {
   if (!floatingToolbar || !currentEditorView) return;
-  
+
   const editorDom = currentEditorView.dom;
   const rect = editorDom.getBoundingClientRect();
-  
+
   // Position toolbar above the editor
   floatingToolbar.style.position = 'fixed';
   floatingToolbar.style.left = `${rect.left}px`;
@@ -143,13 +384,13 @@ function positionToolbar() {
 export function showToolbar() {
   const toolbar = createFloatingToolbar();
   toolbar.style.display = 'block';
-  
+
   // Wait for toolbar to render so we can measure its height
   requestAnimationFrame(() => {
     positionToolbar();
     updateToolbarState();
   });
-  
+
   // Add scroll listener to reposition toolbar on scroll
   if (!scrollListener) {
     scrollListener = () => positionToolbar();
@@ -160,9 +401,10 @@ export function showToolbar() {
 
 export function hideToolbar() {
   if (floatingToolbar) {
+    closeLinkPopover();
     floatingToolbar.style.display = 'none';
   }
-  
+
   // Remove scroll listener
   if (scrollListener) {
     window.removeEventListener('scroll', scrollListener, true);
@@ -171,31 +413,53 @@ export function hideToolbar() {
   }
 }
 
-export function setCurrentEditorView(view) {
+/**
+ * @param {EditorView} view the focused editor
+ * @param {Function} onLeave called when focus leaves both the editor and the toolbar
+ */
+export function setCurrentEditorView(view, onLeave) {
   currentEditorView = view;
+  leaveEditor = onLeave;
+}
+
+/**
+ * Controls like the link popover take focus from the editor without leaving it
+ * @param {Element} el the element receiving focus
+ */
+export function isToolbarTarget(el) {
+  return !!(el && floatingToolbar?.contains(el));
 }
 
 export function handleToolbarKeydown(event) {
-  // Handle Ctrl+B for bold (Cmd+B on Mac)
-  if ((event.metaKey || event.ctrlKey) && event.key === 'b') {
-    event.preventDefault();
-    toggleMark('strong');
-    return true;
-  }
-  // Handle Ctrl+I for italic (Cmd+I on Mac)
-  if ((event.metaKey || event.ctrlKey) && event.key === 'i') {
-    event.preventDefault();
-    toggleMark('em');
-    return true;
-  }
-  // Handle Ctrl+U for underline (Cmd+U on Mac)
-  if ((event.metaKey || event.ctrlKey) && event.key === 'u') {
-    event.preventDefault();
-    toggleMark('u');
-    return true;
+  if (!(event.metaKey || event.ctrlKey)) return false;
+
+  const { key, code, shiftKey, altKey } = event;
+  let action;
+  if (altKey && /^Digit[0-6]$/.test(code)) {
+    // Ctrl+Alt+1-6 for headings, Ctrl+Alt+0 for paragraphs
+    action = () => setHeading(Number(code.slice(-1)));
+  } else if (shiftKey && code === 'KeyX') {
+    action = () => toggleMark(MARKS[3].marks);
+  } else if (shiftKey && code === 'Digit7') {
+    action = () => toggleList('ordered_list');
+  } else if (shiftKey && code === 'Digit8') {
+    action = () => toggleList('bullet_list');
+  } else if (key === 'b') {
+    action = () => toggleMark('strong');
+  } else if (key === 'i') {
+    action = () => toggleMark('em');
+  } else if (key === 'u') {
+    action = () => toggleMark('u');
+  } else if (key === 'k') {
+    action = openLinkPopover;
+  } else if (key === '\\') {
+    action = clearFormatting;
   }
-  return false;
+
+  if (!action) return false;
+  event.preventDefault();
+  action();
+  return true;
 }
 
 export { updateToolbarState, positionToolbar };
-
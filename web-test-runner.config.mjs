@@ -0,0 +1,11 @@
+// Blocks load from /blocks, serve the test-* fixture blocks from the mocks instead
+const FIXTURE_BLOCKS = /^\/blocks\/(test-[\w-]+)\//;
+
+export default {
+  middleware: [
+    function serveFixtureBlocks(context, next) {
+      context.url = context.url.replace(FIXTURE_BLOCKS, '/test/scripts/mocks/blocks/$1/');
+      return next();
+    },
+  ],
+};
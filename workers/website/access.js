@@ -0,0 +1,162 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getSheet, isUnavailable } from './sheets.js';
+
+const ACCESS_PATH = '/access.json';
+
+// Always hidden, regardless of config
+const DEF_RULES = [
+  { path: '/drafts/', action: '404' },
+  { path: ACCESS_PATH, action: '404' },
+];
+
+/**
+ * Rules have the following columns:
+ * - path: the protected path prefix (ex: /launches/)
+ * - action: 404 (hidden), 401 (basic auth) or ip (allowlist, hidden otherwise)
+ * - allow: comma separated IPs or IPv4 CIDRs for ip rules
+ * - secret: the env var holding user:pass pairs for 401 rules (default: ACCESS_CREDENTIALS)
+ */
+const formatRules = (data) => data.reduce((acc, row) => {
+  const path = row.path?.trim();
+  const action = `${row.action || '404'}`.trim().toLowerCase();
+  if (!(path && ['404', '401', 'ip'].includes(action))) return acc;
+  const allow = `${row.allow || ''}`.split(',').map((ip) => ip.trim()).filter((ip) => ip);
+  acc.push({ path, action, allow, secret: row.secret?.trim() || 'ACCESS_CREDENTIALS' });
+  return acc;
+}, []);
+
+const getEnvRules = (env) => {
+  if (!env.ACCESS_RULES) return [];
+  try {
+    return formatRules(JSON.parse(env.ACCESS_RULES));
+  } catch {
+    return [];
+  }
+};
+
+const ipToInt = (ip) => ip.split('.').reduce((acc, octet) => (acc * 256) + Number(octet), 0);
+
+const matchesIp = (ip, allowed) => {
+  if (!allowed.includes('/')) return ip === allowed;
+  const [range, bits] = allowed.split('/');
+  if (!(ip.includes('.') && range.includes('.'))) return false;
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(ipToInt(ip) / size) === Math.floor(ipToInt(range) / size);
+};
+
+const hasCredentials = (env, req, secret) => {
+  const [scheme, encoded] = (req.headers.get('authorization') || '').split(' ');
+  if (scheme?.toLowerCase() !== 'basic' || !encoded) return false;
+  let decoded;
+  try {
+    decoded = atob(encoded);
+  } catch {
+    return false;
+  }
+  const users = `${env[secret] || ''}`.split(',').map((user) => user.trim());
+  return users.some((user) => user && user === decoded);
+};
+
+const isAllowed = (env, req, { action, allow, secret }) => {
+  if (action === '401') return hasCredentials(env, req, secret);
+  if (action === 'ip') {
+    const ip = req.headers.get('cf-connecting-ip');
+    return !!ip && allow.some((allowed) => matchesIp(ip, allowed));
+  }
+  return false;
+};
+
+/**
+ * Get the access rules of the site, whoever the visitor is.
+ * @param {Object} env the worker environment
+ * @returns {Promise<Array>} the rules
+ */
+export const getAccessRules = async (env) => {
+  // Both come from the same fetch of the sheet
+  const [rows, sheetRules] = await Promise.all([
+    getSheet(env, ACCESS_PATH),
+    getSheet(env, ACCESS_PATH, formatRules),
+  ]);
+  // Without its rules, no path can be known to be public
+  if (isUnavailable(rows)) return [{ path: '/', action: '503' }];
+  return [...formatRules(DEF_RULES), ...getEnvRules(env), ...sheetRules];
+};
+
+/**
+ * Get the rules the visitor does not pass.
+ * @param {Object} env the worker environment
+ * @param {Request} req the incoming request
+ * @param {Array} rules the access rules of the site
+ * @returns {Array} the denied rules
+ */
+export const getDeniedRules = (env, req, rules) => (
+  rules.filter((rule) => !isAllowed(env, req, rule))
+);
+
+/**
+ * Answer a request for a protected path.
+ * @param {Array} denied the rules the visitor does not pass
+ * @param {URL} url the incoming request url
+ * @returns {Response|null} a 404, 401 or 503 response, null if the path is not protected
+ */
+export const getAccessResponse = (denied, url) => {
+  const rule = denied.find(({ path }) => url.pathname.startsWith(path));
+  if (!rule) return null;
+  if (rule.action === '401') {
+    return new Response('Unauthorized', {
+      status: 401,
+      headers: {
+        'www-authenticate': 'Basic realm="Restricted", charset="UTF-8"',
+        'cache-control': 'no-store',
+      },
+    });
+  }
+  if (rule.action === '503') {
+    return new Response('Service Unavailable', {
+      status: 503,
+      headers: { 'retry-after': '60', 'cache-control': 'no-store' },
+    });
+  }
+  return new Response('Not Found', { status: 404 });
+};
+
+/**
+ * Remove protected pages from JSON query indexes.
+ * @param {Array} denied the rules the visitor does not pass
+ * @param {Array} rules the access rules of the site
+ * @param {Response} resp the origin response
+ * @returns {Promise<Response>} the filtered response
+ */
+export const filterIndex = async (denied, rules, resp) => {
+  if (!(resp.ok && resp.headers.get('content-type')?.includes('json'))) return resp;
+
+  const json = await resp.json();
+  const isDenied = (row) => typeof row.path === 'string'
+    && denied.some(({ path }) => row.path.startsWith(path));
+
+  // Single and multi-sheet indexes
+  const sheets = json.data ? [json] : Object.values(json).filter((sheet) => sheet?.data);
+  for (const sheet of sheets) {
+    if (Array.isArray(sheet.data)) {
+      const data = sheet.data.filter((row) => !isDenied(row));
+      if (sheet.total) sheet.total -= sheet.data.length - data.length;
+      sheet.data = data;
+    }
+  }
+
+  const filtered = new Response(JSON.stringify(json), resp);
+  // Protected pages the visitor may see must not reach shared caches
+  if (denied.length < rules.length) filtered.headers.set('cache-control', 'private, no-store');
+  return filtered;
+};
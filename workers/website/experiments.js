@@ -0,0 +1,99 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* global HTMLRewriter */
+
+import { getSheet } from './sheets.js';
+
+const EXPERIMENTS_PATH = '/experiments.json';
+const COOKIE_PREFIX = 'ak-exp-';
+
+// Seconds a visitor keeps their variant
+const COOKIE_AGE = 2592000;
+
+const escapeAttr = (str) => str.replace(/[&"<>]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Rows of experiment, control, variant & split (percent of traffic).
+ * Each variant is a row. The control gets the remaining traffic.
+ */
+const formatExperiments = (data) => data.reduce((acc, row) => {
+  const [id, control, path] = [row.experiment, row.control, row.variant].map((val) => val?.trim());
+  if (!(id && control && path)) return acc;
+  if (!acc.has(control)) acc.set(control, { id, variants: [] });
+  const { variants } = acc.get(control);
+  variants.push({ name: `challenger-${variants.length + 1}`, path, split: Number(row.split) || 0 });
+  return acc;
+}, new Map());
+
+const getCookie = (cookie, name) => {
+  const found = cookie?.split(';').find((part) => part.trim().startsWith(`${name}=`));
+  return found ? found.split('=')[1].trim() : null;
+};
+
+const pickVariant = ({ variants }, assigned) => {
+  const control = { name: 'control', path: null };
+  if (assigned === control.name) return control;
+  const sticky = variants.find(({ name }) => name === assigned);
+  if (sticky) return sticky;
+
+  let roll = Math.random() * 100;
+  return variants.find(({ split }) => {
+    roll -= split;
+    return roll < 0;
+  }) || control;
+};
+
+/**
+ * Assign a visitor to a variant of an experiment running on the requested page.
+ * @param {Object} env the worker environment
+ * @param {Request} req the incoming request
+ * @param {URL} url the incoming request url
+ * @returns {Promise<Object|null>} the assignment or null if no experiment is running
+ */
+export const getExperiment = async (env, req, url) => {
+  if (env.EXPERIMENTS === 'disabled' || req.method !== 'GET') return null;
+
+  const experiments = await getSheet(env, EXPERIMENTS_PATH, formatExperiments);
+  const experiment = experiments.get(url.pathname);
+  if (!experiment) return null;
+
+  const cookieName = `${COOKIE_PREFIX}${encodeURIComponent(experiment.id)}`;
+  const assigned = getCookie(req.headers.get('cookie'), cookieName);
+  const { name, path } = pickVariant(experiment, assigned);
+  return { id: experiment.id, variant: name, path, cookieName, isNew: assigned !== name };
+};
+
+/**
+ * Make the assignment sticky and expose it to the page as metadata.
+ * @param {Object} experiment the assignment
+ * @param {Response} resp the page response
+ * @returns {Response} the decorated response
+ */
+export const applyExperiment = (experiment, resp) => {
+  if (!(experiment && resp.headers.get('content-type')?.includes('text/html'))) return resp;
+  const { id, variant, cookieName, isNew } = experiment;
+
+  if (isNew) {
+    const cookie = `${cookieName}=${variant}; Max-Age=${COOKIE_AGE}; Path=/; SameSite=Lax; Secure`;
+    resp.headers.append('set-cookie', cookie);
+  }
+
+  // The same url serves different content per visitor
+  resp.headers.set('cache-control', 'private, no-cache');
+
+  const meta = `<meta name="experiment" content="${escapeAttr(id)}">
+<meta name="experiment-variant" content="${variant}">`;
+  return new HTMLRewriter()
+    .on('head', { element: (el) => el.append(meta, { html: true }) })
+    .transform(resp);
+};
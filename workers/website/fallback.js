@@ -0,0 +1,70 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// A named cache keeps last good copies apart from the regular edge cache
+const CACHE_NAME = 'last-good';
+
+// Seconds a last good copy is kept
+const DEF_TTL = 86400;
+
+// Milliseconds to wait for origin before serving a last good copy
+const DEF_TIMEOUT = 5000;
+
+export const getOriginTimeout = (env) => Number(env.ORIGIN_TIMEOUT) || DEF_TIMEOUT;
+
+/**
+ * Resolve with null if a promise takes too long or fails.
+ * @param {Promise} promise the promise to wait for
+ * @param {Number} ms the milliseconds to wait
+ * @returns {Promise} the result or null
+ */
+export const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve) => { timer = setTimeout(resolve, ms, null); });
+  return Promise.race([promise.catch(() => null), timeout]).finally(() => clearTimeout(timer));
+};
+
+export const isLastGood = (req, resp) => req.method === 'GET' && resp.status === 200;
+
+/**
+ * Keep a copy of a good origin response.
+ * @param {Object} env the worker environment
+ * @param {Request} req the origin request
+ * @param {Response} resp a clone of the origin response
+ */
+export const putLastGood = async (env, req, resp) => {
+  const ttl = Number(env.STALE_TTL) || DEF_TTL;
+  const copy = new Response(resp.body, resp);
+  copy.headers.set('cache-control', `max-age=${ttl}`);
+  copy.headers.delete('set-cookie');
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(req.url, copy);
+};
+
+/**
+ * Get the last good copy of an origin response.
+ * @param {Request} req the origin request
+ * @param {String} reason why origin could not be used (ex: timeout, error)
+ * @returns {Promise<Response|null>} the stale response or null
+ */
+export const getLastGood = async (req, reason) => {
+  if (req.method !== 'GET') return null;
+  const cache = await caches.open(CACHE_NAME);
+  const stale = await cache.match(req.url);
+  if (!stale) return null;
+
+  const resp = new Response(stale.body, stale);
+  resp.headers.set('cache-control', 'no-cache');
+  resp.headers.set('warning', '110 - "Response is Stale"');
+  resp.headers.set('x-origin-fallback', reason);
+  return resp;
+};
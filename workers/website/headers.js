@@ -0,0 +1,119 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* global HTMLRewriter */
+
+import { getSheet } from './sheets.js';
+
+const HEADERS_PATH = '/headers.json';
+const CSP = 'content-security-policy';
+
+// The same placeholder AEM uses, replaced by a fresh nonce per request
+const NONCE_PLACEHOLDER = "'nonce-aem'";
+
+// Opt-in with a CSP of strict (env or sheet), otherwise the CSP from origin is kept
+const STRICT_CSP = `script-src ${NONCE_PLACEHOLDER} 'strict-dynamic'; base-uri 'self'; object-src 'none'`;
+
+const getEnvHeaders = (env) => {
+  const headers = {
+    // Not every subdomain may serve https, includeSubDomains is opt-in through HSTS
+    'strict-transport-security': env.HSTS || 'max-age=31536000',
+    'x-content-type-options': 'nosniff',
+    'referrer-policy': env.REFERRER_POLICY || 'strict-origin-when-cross-origin',
+    'permissions-policy': env.PERMISSIONS_POLICY || 'camera=(), microphone=(), geolocation=()',
+  };
+  if (env.CSP) headers[CSP] = env.CSP;
+  return Object.entries(headers).reduce((acc, [key, value]) => {
+    if (value !== 'disabled') acc[key] = value;
+    return acc;
+  }, {});
+};
+
+const globToRegex = (glob) => {
+  const escaped = glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+};
+
+// Rows of path, header & value. An empty value removes the header.
+const formatRules = (data) => data.reduce((acc, { path, header, value }) => {
+  if (path?.trim() && header?.trim()) {
+    acc.push({
+      pattern: globToRegex(path.trim()),
+      header: header.trim().toLowerCase(),
+      value: value?.trim() || '',
+    });
+  }
+  return acc;
+}, []);
+
+const getNonce = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return btoa(String.fromCharCode(...bytes));
+};
+
+const addNonce = (resp) => {
+  const policy = resp.headers.get(CSP);
+  if (!policy?.includes(NONCE_PLACEHOLDER)) return resp;
+
+  const nonce = getNonce();
+  resp.headers.set(CSP, policy.replaceAll(NONCE_PLACEHOLDER, `'nonce-${nonce}'`));
+
+  const setNonce = { element: (el) => el.setAttribute('nonce', nonce) };
+
+  // Head scripts (importmap, modules) are trusted, body scripts must opt-in
+  return new HTMLRewriter()
+    .on('head script', setNonce)
+    .on('body script[nonce="aem"]', setNonce)
+    .on('meta[http-equiv]', {
+      element: (el) => {
+        if (el.getAttribute('http-equiv').toLowerCase() !== CSP) return;
+        const content = el.getAttribute('content') || '';
+        el.setAttribute('content', content.replaceAll(NONCE_PLACEHOLDER, `'nonce-${nonce}'`));
+      },
+    })
+    .transform(resp);
+};
+
+/**
+ * Apply security headers from env vars and the headers sheet.
+ * HTML documents keep the CSP from origin unless one is configured,
+ * placeholder nonces get a per-request value.
+ * @param {Object} env the worker environment
+ * @param {URL} url the incoming request url
+ * @param {Response} resp the response to decorate
+ * @returns {Promise<Response>} the decorated response
+ */
+export const applySecurityHeaders = async (env, url, resp) => {
+  if (env.SECURITY_HEADERS === 'disabled') return resp;
+
+  const headers = getEnvHeaders(env);
+  const rules = await getSheet(env, HEADERS_PATH, formatRules);
+  for (const { pattern, header, value } of rules) {
+    if (pattern.test(url.pathname)) headers[header] = value;
+  }
+
+  // Only documents need a CSP, and 304s must keep the one the browser already has
+  const isDoc = resp.headers.get('content-type')?.includes('text/html') && resp.status !== 304;
+  if (!isDoc) delete headers[CSP];
+
+  if (headers[CSP] === 'strict') headers[CSP] = STRICT_CSP;
+
+  for (const [key, value] of Object.entries(headers)) {
+    if (value) {
+      resp.headers.set(key, value);
+    } else {
+      resp.headers.delete(key);
+    }
+  }
+
+  return isDoc ? addNonce(resp) : resp;
+};
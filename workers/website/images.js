@@ -0,0 +1,86 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// Fewer widths means more cache hits
+const DEF_WIDTHS = [320, 480, 750, 1000, 1440, 2000, 2400];
+
+const FITS = ['scale-down', 'contain', 'cover', 'crop', 'pad'];
+
+// Formats that should not be converted (animation, vectors)
+const KEEP_FORMATS = ['gif', 'svg'];
+
+const getWidths = (env) => {
+  const widths = `${env.IMAGE_WIDTHS || ''}`.split(',')
+    .map((width) => Number(width.trim()))
+    .filter((width) => width > 0)
+    .sort((a, b) => a - b);
+  return widths.length ? widths : DEF_WIDTHS;
+};
+
+const getBucket = (widths, width) => widths.find((bucket) => bucket >= width) || widths.at(-1);
+
+// Same as data-focal in the hero block (ex: crop=30,70 is 30% from the left, 70% from the top)
+const getGravity = (crop) => {
+  const [x, y] = `${crop || ''}`.split(',').map(Number);
+  if (!(x >= 0 && x <= 100 && y >= 0 && y <= 100)) return null;
+  return { x: x / 100, y: y / 100 };
+};
+
+/**
+ * Format image params for origin and the Cloudflare image options.
+ *
+ * - width (and height, proportionally) is bucketed to IMAGE_WIDTHS
+ * - format is negotiated from the accept header, gifs and svgs are kept
+ * - fit & crop are applied by Cloudflare when IMAGE_RESIZING is enabled
+ *
+ * @param {Object} env the worker environment
+ * @param {Request} req the incoming request
+ * @param {URL} url the media url, modified in place
+ * @returns {Object|null} the Cloudflare image options or null
+ */
+export const formatImage = (env, req, url) => {
+  const { searchParams } = url;
+  const resizing = env.IMAGE_RESIZING === 'enabled';
+  const image = {};
+
+  const width = Number(searchParams.get('width'));
+  if (width > 0) {
+    const bucket = getBucket(getWidths(env), width);
+    searchParams.set('width', bucket);
+    const height = Number(searchParams.get('height'));
+    if (height > 0) searchParams.set('height', Math.round(height * (bucket / width)));
+  }
+
+  // Without a format param, the extension tells gifs and svgs apart
+  const format = searchParams.get('format') || url.pathname.split('.').pop().toLowerCase();
+  const accept = req.headers.get('accept') || '';
+  if (!KEEP_FORMATS.includes(format)) {
+    if (resizing && accept.includes('image/avif')) {
+      image.format = 'avif';
+    } else if (accept.includes('image/webp')) {
+      searchParams.set('format', 'webply');
+    }
+  }
+
+  const gravity = getGravity(searchParams.get('crop'));
+  const fit = searchParams.get('fit');
+  if (resizing && (gravity || FITS.includes(fit))) {
+    image.fit = FITS.includes(fit) ? fit : 'cover';
+    if (gravity) image.gravity = gravity;
+    if (searchParams.has('width')) image.width = Number(searchParams.get('width'));
+    if (searchParams.has('height')) image.height = Number(searchParams.get('height'));
+  }
+  searchParams.delete('crop');
+  searchParams.delete('fit');
+
+  return Object.keys(image).length ? image : null;
+};
@@ -0,0 +1,126 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* global HTMLRewriter */
+
+import { getOriginTimeout, withTimeout } from './fallback.js';
+// Shared with scripts.js so fragments are localized like the client does
+// eslint-disable-next-line import/no-relative-packages
+import locales from '../../scripts/locales.js';
+
+// Same defaults as the header and footer blocks
+const HEADER_PATH = '/fragments/nav/header';
+const FOOTER_PATH = '/fragments/nav/footer';
+
+const FRAGMENT_SELECTOR = 'a[href*="/fragments/"]';
+
+// Fragments in fragments in fragments...
+const MAX_DEPTH = 3;
+
+// Longest prefixes first so nested locales (ex: /en-ca) win
+const prefixes = Object.keys(locales).sort((a, b) => b.length - a.length);
+
+const getPrefix = (path) => prefixes.find((prefix) => prefix && path.startsWith(`${prefix}/`)) || '';
+
+const getFragmentPath = (href, url, env) => {
+  let link;
+  try {
+    link = new URL(href, url);
+  } catch {
+    return null;
+  }
+  if (![url.hostname, env.ORIGIN_HOSTNAME].includes(link.hostname)) return null;
+
+  const { pathname, hash } = link;
+  if (pathname.split('/').pop().includes('.')) return null;
+
+  // Same as localizeUrl in ak.js
+  const prefix = getPrefix(url.pathname);
+  if (!prefix || hash.includes('#_dnt') || getPrefix(pathname)) return pathname;
+  return `${prefix}${pathname}`;
+};
+
+const fetchFragment = async (env, path) => {
+  const headers = { 'x-byo-cdn-type': 'cloudflare' };
+  if (env.ORIGIN_AUTHENTICATION) headers.authorization = `token ${env.ORIGIN_AUTHENTICATION}`;
+  const pending = fetch(`https://${env.ORIGIN_HOSTNAME}${path}.plain.html`, {
+    headers,
+    cf: { cacheEverything: true },
+  });
+  const resp = await withTimeout(pending, getOriginTimeout(env));
+  return resp?.ok ? resp : null;
+};
+
+/**
+ * Build the template holding a fragment's sections, with its own fragments included.
+ * Fragments that are missing, protected or already being included are left to the client.
+ * @returns {Promise<String|null>} the template html or null
+ */
+const getTemplate = async (opts, path, parents) => {
+  const { env, denied } = opts;
+  if (parents.length > MAX_DEPTH || parents.includes(path)) return null;
+  if (denied.some((rule) => path.startsWith(rule.path))) return null;
+
+  const resp = await fetchFragment(env, path);
+  if (!resp) return null;
+
+  // eslint-disable-next-line no-use-before-define
+  const html = await includeLinks(new HTMLRewriter(), opts, FRAGMENT_SELECTOR, [...parents, path])
+    .transform(resp)
+    .text();
+  return `<template data-include="${path}">${html}</template>`;
+};
+
+const includeLinks = (rewriter, opts, selector, parents) => rewriter.on(selector, {
+  element: async (el) => {
+    const path = getFragmentPath(el.getAttribute('href'), opts.url, opts.env);
+    const template = path ? await getTemplate(opts, path, parents) : null;
+    if (template) el.after(template, { html: true });
+  },
+});
+
+const includeNav = (rewriter, opts, name, defPath) => {
+  let meta;
+  return rewriter
+    .on(`meta[name="${name}"]`, { element: (el) => { meta = el.getAttribute('content'); } })
+    .on(name, {
+      element: async (el) => {
+        if (meta === 'off') return;
+        const path = `${getPrefix(opts.url.pathname)}${meta || defPath}`;
+        const template = await getTemplate(opts, path, [opts.url.pathname]);
+        if (template) el.append(template, { html: true });
+      },
+    });
+};
+
+/**
+ * Inline the sections of fragments into the page at the edge.
+ * Each fragment is added as a template after its link (or in the header and footer),
+ * which the fragment block uses instead of fetching it again.
+ * @param {Object} env the worker environment
+ * @param {URL} url the incoming request url
+ * @param {Array} denied the access rules the visitor does not pass
+ * @param {Response} resp the page response
+ * @returns {Response} the page with fragments included
+ */
+export const applyIncludes = (env, url, denied, resp) => {
+  if (env.FRAGMENT_INCLUDES !== 'enabled') return resp;
+  if (!(resp.status === 200 && resp.headers.get('content-type')?.includes('text/html'))) {
+    return resp;
+  }
+
+  const opts = { env, url, denied };
+  let rewriter = includeLinks(new HTMLRewriter(), opts, `main ${FRAGMENT_SELECTOR}`, [url.pathname]);
+  rewriter = includeNav(rewriter, opts, 'header', HEADER_PATH);
+  rewriter = includeNav(rewriter, opts, 'footer', FOOTER_PATH);
+  return rewriter.transform(resp);
+};
@@ -10,6 +10,40 @@
  * governing permissions and limitations under the License.
  */
 
+import { getSheetRedirect } from './redirects.js';
+import { getPreviewTime } from './preview.js';
+import { applySecurityHeaders } from './headers.js';
+import { applyExperiment, getExperiment } from './experiments.js';
+import {
+  filterIndex,
+  getAccessResponse,
+  getAccessRules,
+  getDeniedRules,
+} from './access.js';
+import { getSitemap } from './sitemap.js';
+import { formatImage } from './images.js';
+import { getLocaleRedirect } from './locale.js';
+import { applyIncludes } from './includes.js';
+import {
+  getLastGood,
+  getOriginTimeout,
+  isLastGood,
+  putLastGood,
+  withTimeout,
+} from './fallback.js';
+// Shared with the schedule block so rows are evaluated identically at the edge
+/* eslint-disable import/no-relative-packages */
+import {
+  getAudiences,
+  getDevice,
+  getNextChange,
+  hasTargeting,
+  isActive,
+  isDefault,
+  isTargeted,
+} from '../../scripts/utils/schedule.js';
+/* eslint-enable import/no-relative-packages */
+
 const getExtension = (path) => {
   const basename = path.split('/').pop();
   const pos = basename.lastIndexOf('.');
@@ -19,11 +53,6 @@ const getExtension = (path) => {
 const isMediaRequest = (url) => /\/media_[0-9a-f]{40,}[/a-zA-Z0-9_-]*\.[0-9a-z]+$/.test(url.pathname);
 const isRUMRequest = (url) => /\/\.(rum|optel)\/.*/.test(url.pathname);
 
-const getDraft = (url) => {
-  if (!url.pathname.startsWith('/drafts/')) return null;
-  return new Response('Not Found', { status: 404 });
-};
-
 const getPortRedirect = (request, url) => {
   if (url.port && url.hostname !== 'localhost') {
     const redirectTo = new URL(request.url);
@@ -86,36 +115,88 @@ const formatRequest = (env, request, url) => {
   return req;
 };
 
-const getSchedule = async (pathname, response) => {
-  if (!(pathname.includes('/schedules/') && pathname.endsWith('json'))) return null;
+// Seconds a schedule may be cached when no upcoming start or end exists
+const SCHEDULE_MAX_AGE = 3600;
+
+const isSchedule = (pathname) => pathname.includes('/schedules/') && pathname.endsWith('json');
+
+const setScheduleCacheControl = (env, resp, rows, now, isPreview) => {
+  // Previews are for one reviewer only
+  if (isPreview) {
+    resp.headers.set('cache-control', 'private, no-store');
+    resp.headers.delete('expires');
+    return;
+  }
+
+  const maxAge = Number(env.SCHEDULE_MAX_AGE) || SCHEDULE_MAX_AGE;
+  const next = getNextChange(rows, now);
+  const expires = Math.min(next, now + (maxAge * 1000));
+  const seconds = Math.max(Math.floor((expires - now) / 1000), 0);
+  // Targeted schedules differ per visitor, so only the browser may cache them
+  const cacheControl = rows.some(hasTargeting)
+    ? `private, max-age=${seconds}`
+    : `public, max-age=${seconds}, s-maxage=${seconds}`;
+  resp.headers.set('cache-control', cacheControl);
+  resp.headers.set('expires', new Date(expires).toUTCString());
+};
+
+const getVisitor = (req) => {
+  const isMobile = req.headers.get('sec-ch-ua-mobile') === '?1';
+  return {
+    country: req.cf?.country,
+    device: isMobile ? 'mobile' : getDevice(req.headers.get('user-agent') || ''),
+    audiences: getAudiences(req.headers.get('cookie') || ''),
+  };
+};
+
+const getSchedule = async (env, req, pathname, response, previewTime) => {
+  if (!(isSchedule(pathname) && response.ok)) return null;
 
   const schedule2Response = (json) => new Response(JSON.stringify(json), response);
 
   const json = await response.json();
   if (!json.data?.[0]?.fragment) return schedule2Response(json);
 
-  const data = [];
-  for (const [idx, schedule] of json.data.entries()) {
-    const { start, end } = schedule;
-
+  const now = previewTime || Date.now();
+  const visitor = getVisitor(req);
+  const data = json.data.filter((row) => {
+    if (!isTargeted(row, visitor)) return false;
     // Presumably the default fragment
-    if (!start && !end) {
-      data.push(json.data[idx]);
-    } else {
-      const now = Date.now();
-      const startDate = new Date(start);
-      const endDate = new Date(end);
-      if (startDate < now && endDate > now) data.push(json.data[idx]);
+    if (isDefault(row)) return true;
+    try {
+      return isActive(row, now);
+    } catch {
+      return false;
     }
-  }
+  });
 
-  return schedule2Response({ ...json, data });
+  // Expire exactly when the next event starts or ends
+  const resp = schedule2Response({ ...json, data });
+  setScheduleCacheControl(env, resp, json.data, now, !!previewTime);
+  return resp;
 };
 
-const getCachability = ({ pathname }) => !(pathname.includes('/schedules/') && pathname.endsWith('json'));
+const fetchFromOrigin = async (env, ctx, req, savedSearch, image) => {
+  // Schedules are filtered after this fetch, so the raw sheet is safe to cache
+  const cf = { cacheEverything: true };
+  if (image) cf.image = image;
+  const pending = fetch(req, { method: req.method, cf })
+    .then((originResp) => {
+      if (isLastGood(req, originResp)) ctx.waitUntil(putLastGood(env, req, originResp.clone()));
+      return originResp;
+    });
 
-const fetchFromOrigin = async (req, cacheEverything, savedSearch) => {
-  let resp = await fetch(req, { method: req.method, cf: { cacheEverything } });
+  // Serve the last good copy if origin fails or is too slow
+  let resp = await withTimeout(pending, getOriginTimeout(env));
+  if (!resp || resp.status >= 500) {
+    const stale = await getLastGood(req, resp ? `${resp.status}` : 'unavailable');
+    if (stale) {
+      // Let a slow origin finish in the background so the copy is refreshed
+      ctx.waitUntil(pending.catch(() => null));
+      return stale;
+    }
+    resp = resp || await pending;
+  }
   resp = new Response(resp.body, resp);
 
   // Handle redirects
@@ -131,30 +212,64 @@ const fetchFromOrigin = async (req, cacheEverything, savedSearch) => {
   return resp;
 };
 
-export default {
-  async fetch(req, env) {
-    const url = new URL(req.url);
+const handleRequest = async (req, env, ctx) => {
+  const url = new URL(req.url);
+
+  const rules = await getAccessRules(env);
+  const denied = getDeniedRules(env, req, rules);
+  const accessResp = getAccessResponse(denied, url);
+  if (accessResp) return accessResp;
+
+  const portResp = getPortRedirect(req, url);
+  if (portResp) return portResp;
+
+  const rumResp = getRUMRequest(req, url);
+  if (rumResp) return rumResp;
+
+  const redirectResp = await getSheetRedirect(env, url);
+  if (redirectResp) return redirectResp;
 
-    const draftResp = getDraft(url);
-    if (draftResp) return draftResp;
+  const sitemapResp = await getSitemap(env, url, rules);
+  if (sitemapResp) return sitemapResp;
 
-    const portResp = getPortRedirect(req, url);
-    if (portResp) return portResp;
+  const localeResp = await getLocaleRedirect(env, req, url, denied);
+  if (localeResp) return localeResp;
 
-    const rumResp = getRUMRequest(req, url);
-    if (rumResp) return rumResp;
+  // Variants are fetched transparently using the control url
+  const experiment = await getExperiment(env, req, url);
+  if (experiment?.path) url.pathname = experiment.path;
 
-    const request = formatRequest(env, req, url);
+  // Read the preview token before search params are formatted
+  const previewTime = isSchedule(url.pathname) ? await getPreviewTime(env, url) : null;
 
-    const cacheable = getCachability(url);
+  // Bucket widths and negotiate formats before search params are formatted
+  const isMedia = isMediaRequest(url);
+  const image = isMedia ? formatImage(env, req, url) : null;
 
-    const savedSearch = formatSearchParams(url);
+  const savedSearch = formatSearchParams(url);
 
-    const originResp = await fetchFromOrigin(request, cacheable, savedSearch);
+  const request = formatRequest(env, req, url);
 
-    const scheduleResp = await getSchedule(url.pathname, originResp);
-    if (scheduleResp) return scheduleResp;
+  let originResp = await fetchFromOrigin(env, ctx, request, savedSearch, image);
+  if (isMedia) originResp.headers.append('vary', 'accept');
 
-    return originResp;
+  // Keep protected pages out of query indexes
+  if (getExtension(url.pathname) === 'json') {
+    originResp = await filterIndex(denied, rules, originResp);
+  }
+
+  const scheduleResp = await getSchedule(env, req, url.pathname, originResp, previewTime);
+  if (scheduleResp) return scheduleResp;
+
+  // Fragments are fetched at the edge instead of after the page loads
+  originResp = applyIncludes(env, new URL(req.url), denied, originResp);
+
+  return applyExperiment(experiment, originResp);
+};
+
+export default {
+  async fetch(req, env, ctx) {
+    const resp = await handleRequest(req, env, ctx);
+    return applySecurityHeaders(env, new URL(req.url), resp);
   },
 };
@@ -0,0 +1,92 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getSheet } from './sheets.js';
+// Shared with scripts.js so redirects follow the site's locales
+// eslint-disable-next-line import/no-relative-packages
+import locales from '../../scripts/locales.js';
+
+const INDEX_PATH = '/query-index.json';
+
+// Set by the header language menu, or here after the first redirect
+const LOCALE_COOKIE = 'ak-locale';
+const COOKIE_AGE = 31536000;
+
+const formatPaths = (data) => new Set(data.map(({ path }) => path));
+
+const getLanguages = (header) => `${header || ''}`.split(',')
+  .map((part) => {
+    const [tag, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.find((param) => param.trim().startsWith('q='));
+    return { tag, q: q ? Number(q.split('=')[1]) : 1 };
+  })
+  .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+  .sort((a, b) => b.q - a.q)
+  .map(({ tag }) => tag);
+
+const findPrefix = (languages, country) => {
+  const byLang = Object.entries(locales).reduce((acc, [prefix, { lang }]) => {
+    if (lang) acc[lang.toLowerCase()] = prefix;
+    return acc;
+  }, {});
+
+  for (const tag of languages) {
+    const [base] = tag.split('-');
+    // Prefer the visitor's region (ex: de-ch), then their exact tag, then the base language
+    const candidates = [country && `${base}-${country.toLowerCase()}`, tag, base];
+    const found = candidates.find((candidate) => candidate && byLang[candidate] !== undefined);
+    if (found) return byLang[found];
+  }
+  return null;
+};
+
+const isRootPage = (pathname) => !Object.keys(locales)
+  .some((prefix) => prefix && (pathname === prefix || pathname.startsWith(`${prefix}/`)));
+
+/**
+ * Redirect first time visitors of a root locale page to their best matching locale.
+ * Visitors with a locale cookie (an explicit or remembered choice) are never redirected.
+ * @param {Object} env the worker environment
+ * @param {Request} req the incoming request
+ * @param {URL} url the incoming request url
+ * @param {Array} denied the access rules the visitor does not pass
+ * @returns {Promise<Response|null>} the redirect or null
+ */
+export const getLocaleRedirect = async (env, req, url, denied) => {
+  if (env.LOCALE_REDIRECT !== 'enabled' || req.method !== 'GET') return null;
+
+  const { pathname } = url;
+  const isPage = !pathname.split('/').pop().includes('.');
+  if (!(isPage && isRootPage(pathname))) return null;
+
+  const cookie = req.headers.get('cookie') || '';
+  if (cookie.split(';').some((part) => part.trim().startsWith(`${LOCALE_COOKIE}=`))) return null;
+
+  const prefix = findPrefix(getLanguages(req.headers.get('accept-language')), req.cf?.country);
+  if (!prefix) return null;
+
+  // Only redirect to pages that exist and the visitor may see
+  const paths = await getSheet(env, INDEX_PATH, formatPaths);
+  const localized = `${prefix}${pathname}`;
+  if (!paths.has(localized) || denied.some((rule) => localized.startsWith(rule.path))) return null;
+
+  const redirectTo = new URL(url);
+  redirectTo.pathname = localized;
+  return new Response(`Found at ${redirectTo.href}`, {
+    status: 302,
+    headers: {
+      location: redirectTo.href,
+      'cache-control': 'private, no-store',
+      'set-cookie': `${LOCALE_COOKIE}=${locales[prefix].lang}; Max-Age=${COOKIE_AGE}; Path=/; SameSite=Lax; Secure`,
+    },
+  });
+};
@@ -0,0 +1,53 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const encoder = new TextEncoder();
+
+const hexToBytes = (hex) => {
+  if (!/^([0-9a-f]{2})+$/i.test(hex)) return null;
+  return new Uint8Array(hex.match(/.{2}/g).map((byte) => parseInt(byte, 16)));
+};
+
+const verify = async (secret, message, signature) => {
+  const bytes = hexToBytes(signature);
+  if (!bytes) return false;
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify'],
+  );
+  return crypto.subtle.verify('HMAC', key, bytes, encoder.encode(message));
+};
+
+/**
+ * Get a simulated schedule time from a signed preview token.
+ *
+ * The token is passed as ?schedule=<unix seconds>.<hex hmac-sha256 of the seconds>
+ * and is signed with the SCHEDULE_PREVIEW_SECRET env var.
+ *
+ * @param {Object} env the worker environment
+ * @param {URL} url the incoming request url
+ * @returns {Promise<Number|null>} the simulated time in ms or null if not a valid preview
+ */
+export const getPreviewTime = async (env, url) => {
+  const secret = env.SCHEDULE_PREVIEW_SECRET;
+  const token = url.searchParams.get('schedule');
+  if (!(secret && token)) return null;
+
+  const [seconds, signature] = token.split('.');
+  if (!(/^\d+$/.test(seconds) && signature)) return null;
+
+  const valid = await verify(secret, seconds, signature);
+  return valid ? seconds * 1000 : null;
+};
@@ -0,0 +1,99 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getSheet } from './sheets.js';
+
+const REDIRECTS_PATH = '/redirects.json';
+const STATUSES = [301, 302, 308];
+
+const escapeRegex = (str) => str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a sheet row into a redirect rule.
+ *
+ * Sources come in three flavors:
+ * - Exact: /old-page
+ * - Wildcard: /old/* - each * is captured and replaces the matching * in the destination
+ * - Regex: ^/old/(\d+)/(.*)$ - captures are available in the destination as $1, $2, etc.
+ */
+const compileRule = ({ source, destination, status }) => {
+  const src = source?.trim();
+  const dest = destination?.trim();
+  if (!(src && dest)) return null;
+
+  const code = STATUSES.includes(Number(status)) ? Number(status) : 301;
+
+  if (src.startsWith('^')) {
+    try {
+      return { pattern: new RegExp(src), destination: dest, status: code };
+    } catch {
+      return null;
+    }
+  }
+
+  if (src.includes('*')) {
+    const pattern = new RegExp(`^${src.split('*').map(escapeRegex).join('(.*)')}$`);
+    let idx = 0;
+    const wildDest = dest.replace(/\*/g, () => { idx += 1; return `$${idx}`; });
+    return { pattern, destination: wildDest, status: code };
+  }
+
+  return { source: src, destination: dest, status: code };
+};
+
+const formatRedirects = (data) => data.reduce((acc, row) => {
+  const rule = compileRule(row);
+  if (!rule) return acc;
+  if (rule.pattern) {
+    acc.patterns.push(rule);
+  } else if (!acc.exact.has(rule.source)) {
+    acc.exact.set(rule.source, rule);
+  }
+  return acc;
+}, { exact: new Map(), patterns: [] });
+
+const findLocation = ({ exact, patterns }, pathname) => {
+  const rule = exact.get(pathname);
+  if (rule) return { location: rule.destination, status: rule.status };
+
+  for (const { pattern, destination, status } of patterns) {
+    const match = pathname.match(pattern);
+    if (match) {
+      const location = destination.replace(/\$(\d+)/g, (_, idx) => match[idx] || '');
+      return { location, status };
+    }
+  }
+  return null;
+};
+
+/**
+ * Answer a request with a redirect from the redirects sheet.
+ * @param {Object} env the worker environment
+ * @param {URL} url the incoming request url
+ * @returns {Promise<Response|null>} a redirect response or null if nothing matched
+ */
+export const getSheetRedirect = async (env, url) => {
+  if (env.REDIRECTS === 'disabled') return null;
+
+  const redirects = await getSheet(env, REDIRECTS_PATH, formatRedirects);
+  const found = findLocation(redirects, url.pathname);
+  if (!found) return null;
+
+  const redirectTo = new URL(found.location, url);
+  if (!redirectTo.search && url.search) redirectTo.search = url.search;
+  if (redirectTo.href === url.href) return null;
+
+  return new Response(`Moved to ${redirectTo.href}`, {
+    status: found.status,
+    headers: { location: redirectTo.href },
+  });
+};
@@ -0,0 +1,116 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getOriginTimeout, withTimeout } from './fallback.js';
+
+// Seconds a sheet lives in the isolate before it is fetched again
+const DEF_TTL = 300;
+
+// Sheets live for the lifetime of the isolate
+const sheets = new Map();
+
+// Rows per request, origin caps this at 1000
+const PAGE_SIZE = 1000;
+
+const fetchSheet = async (env, path) => {
+  const headers = { 'x-byo-cdn-type': 'cloudflare' };
+  if (env.ORIGIN_AUTHENTICATION) headers.authorization = `token ${env.ORIGIN_AUTHENTICATION}`;
+
+  const data = [];
+  let total = 0;
+  do {
+    const url = `https://${env.ORIGIN_HOSTNAME}${path}?offset=${data.length}&limit=${PAGE_SIZE}`;
+    const resp = await fetch(url, { headers });
+
+    // A missing sheet is a valid, empty config
+    if (resp.status === 404) return data;
+    if (!resp.ok) throw Error(`Could not fetch ${path}: ${resp.status}`);
+
+    const json = await resp.json();
+    const rows = json.data || [];
+    if (!rows.length) break;
+    data.push(...rows);
+    total = json.total || 0;
+  } while (data.length < total);
+
+  return data;
+};
+
+// The empty rows served for sheets origin failed to send, unlike a missing (404) sheet
+const unavailable = new WeakSet();
+
+const getUnavailable = () => {
+  const rows = [];
+  unavailable.add(rows);
+  return rows;
+};
+
+/**
+ * Check if sheet rows stand in for a sheet origin could not send.
+ * @param {Array} rows the unformatted rows from getSheet
+ * @returns {Boolean} true if the sheet was never loaded
+ */
+export const isUnavailable = (rows) => unavailable.has(rows);
+
+const isLoaded = (cached) => cached.expires > 0;
+
+/**
+ * Fetch a sheet again. The cached entry is only replaced once origin answered,
+ * even when that is after the timeout.
+ * @returns {Promise} the rows, or null if origin failed or took too long
+ */
+const refresh = (env, path, key) => {
+  const ttl = Number(env.SHEET_TTL) || DEF_TTL;
+  const fresh = fetchSheet(env, path).then((data) => {
+    const expires = Date.now() + (ttl * 1000);
+    sheets.set(key, { rows: Promise.resolve(data), expires, refreshed: 0, formatted: new Map() });
+    return data;
+  });
+  return withTimeout(fresh, getOriginTimeout(env));
+};
+
+/**
+ * Get the rows of a spreadsheet from origin, cached per isolate.
+ * Expired rows are served while origin is asked again and kept if it fails.
+ * The first fetch waits for origin as long as a page request does.
+ * @param {Object} env the worker environment
+ * @param {String} path the path to the sheet (ex: /redirects.json)
+ * @param {Function} format an optional module level transform, run once per fetch
+ * @returns {Promise} the formatted sheet
+ */
+export const getSheet = (env, path, format) => {
+  const key = `${env.ORIGIN_HOSTNAME}${path}`;
+  const now = Date.now();
+  let cached = sheets.get(key);
+  if (!cached) {
+    cached = { expires: 0, refreshed: 0, formatted: new Map() };
+    sheets.set(key, cached);
+  }
+
+  // A refresh still in time is not started again
+  const refreshing = now - cached.refreshed < getOriginTimeout(env);
+  if (cached.expires <= now && !refreshing) {
+    cached.refreshed = now;
+    const rows = refresh(env, path, key);
+    if (!isLoaded(cached)) {
+      // Nothing to serve yet, a failed sheet is empty until origin answers
+      cached.rows = rows.then((data) => data || getUnavailable());
+      cached.formatted = new Map();
+    }
+  }
+
+  if (!format) return cached.rows;
+
+  // Each consumer formats the same rows its own way
+  if (!cached.formatted.has(format)) cached.formatted.set(format, cached.rows.then(format));
+  return cached.formatted.get(format);
+};
@@ -0,0 +1,113 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { getSheet } from './sheets.js';
+// Shared with scripts.js so sitemaps follow the site's locales
+// eslint-disable-next-line import/no-relative-packages
+import locales from '../../scripts/locales.js';
+
+const INDEX_PATH = '/query-index.json';
+const SITEMAP_PATH = '/sitemap.xml';
+const MAX_AGE = 3600;
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8"?>';
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+// Longest prefixes first so nested locales (ex: /en-ca) win
+const prefixes = Object.keys(locales).sort((a, b) => b.length - a.length);
+
+const escapeXml = (str) => str.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const getPrefix = (path) => prefixes.find((prefix) => prefix && path.startsWith(`${prefix}/`)) || '';
+
+const getSitemapPath = (prefix) => `/sitemap-${locales[prefix].lang}.xml`;
+
+const getLastMod = (lastModified) => {
+  const date = new Date(Number(lastModified) * 1000);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+/**
+ * Group the pages of the query index by locale.
+ * Pages in different locales are alternates when they share the same path after the prefix.
+ */
+const formatPages = (data) => data.reduce((acc, { path, lastModified, robots }) => {
+  if (!path || `${robots || ''}`.includes('noindex')) return acc;
+  const prefix = getPrefix(path);
+  const rest = path.slice(prefix.length);
+  if (!acc.locales.has(prefix)) acc.locales.set(prefix, []);
+  acc.locales.get(prefix).push({ path, rest, lastmod: getLastMod(lastModified) });
+  if (!acc.alternates.has(rest)) acc.alternates.set(rest, new Map());
+  acc.alternates.get(rest).set(prefix, path);
+  return acc;
+}, { locales: new Map(), alternates: new Map() });
+
+const toResponse = (xml) => new Response(xml, {
+  headers: {
+    'content-type': 'application/xml; charset=utf-8',
+    'cache-control': `public, max-age=${MAX_AGE}`,
+  },
+});
+
+const getIndex = (origin, pages) => {
+  const sitemaps = [...pages.locales.keys()]
+    .filter((prefix) => locales[prefix])
+    .map((prefix) => `  <sitemap><loc>${escapeXml(`${origin}${getSitemapPath(prefix)}`)}</loc></sitemap>`);
+  return `${XML_HEAD}
+<sitemapindex xmlns="${SITEMAP_NS}">
+${sitemaps.join('\n')}
+</sitemapindex>`;
+};
+
+const getLinks = (origin, alternates) => {
+  if (alternates.size < 2) return [];
+  const links = [...alternates.entries()].map(([prefix, path]) => [locales[prefix].lang, path]);
+  if (alternates.has('')) links.push(['x-default', alternates.get('')]);
+  return links.map(([hreflang, path]) => `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(`${origin}${path}`)}"/>`);
+};
+
+const getUrlset = (origin, pages, prefix) => {
+  const urls = (pages.locales.get(prefix) || []).map(({ path, rest, lastmod }) => {
+    const lines = [`    <loc>${escapeXml(`${origin}${path}`)}</loc>`];
+    if (lastmod) lines.push(`    <lastmod>${lastmod}</lastmod>`);
+    lines.push(...getLinks(origin, pages.alternates.get(rest)));
+    return `  <url>\n${lines.join('\n')}\n  </url>`;
+  });
+  return `${XML_HEAD}
+<urlset xmlns="${SITEMAP_NS}" xmlns:xhtml="${XHTML_NS}">
+${urls.join('\n')}
+</urlset>`;
+};
+
+/**
+ * Serve a sitemap index and a sitemap per locale from the query index.
+ * @param {Object} env the worker environment
+ * @param {URL} url the incoming request url
+ * @param {Array} rules the access rules of the site, sitemaps are the same for every visitor
+ * @returns {Promise<Response|null>} the sitemap or null if not a sitemap request
+ */
+export const getSitemap = async (env, url, rules) => {
+  if (env.SITEMAP === 'disabled') return null;
+
+  const { origin, pathname } = url;
+  const prefix = pathname === SITEMAP_PATH
+    ? null
+    : Object.keys(locales).find((key) => getSitemapPath(key) === pathname);
+  if (prefix === undefined) return null;
+
+  const all = await getSheet(env, INDEX_PATH);
+  const visible = all.filter(({ path }) => !rules.some((rule) => path?.startsWith(rule.path)));
+  const pages = formatPages(visible);
+
+  return toResponse(prefix === null ? getIndex(origin, pages) : getUrlset(origin, pages, prefix));
+};
@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HTML,
+  fetchPage,
+  getEnv,
+  sheet,
+  stubOrigin,
+} from './stubs.js';
+
+const page = () => new Response('page', { headers: HTML });
+
+const basic = (credentials) => ({ authorization: `Basic ${btoa(credentials)}` });
+
+describe('Access', () => {
+  it('Hides drafts without asking origin', async () => {
+    const requests = stubOrigin({ '/drafts/page': new Response('draft', { headers: HTML }) });
+    const resp = await fetchPage('https://site.test/drafts/page', getEnv());
+    assert.equal(resp.status, 404);
+    assert.ok(!requests.some((req) => req.url.includes('/drafts/')));
+  });
+
+  it('Hides the paths of the access sheet', async () => {
+    stubOrigin({ '/access.json': sheet([{ path: '/launches/', action: '404' }]), '/launches/spring': page() });
+    const hidden = await fetchPage('https://site.test/launches/spring', getEnv());
+    assert.equal(hidden.status, 404);
+  });
+
+  it('Hides the access sheet itself', async () => {
+    stubOrigin({ '/access.json': sheet([]) });
+    const resp = await fetchPage('https://site.test/access.json', getEnv());
+    assert.equal(resp.status, 404);
+  });
+});
+
+describe('Unavailable access sheet', () => {
+  it('Serves nothing while the sheet fails', async () => {
+    const requests = stubOrigin({
+      '/access.json': new Response('Error', { status: 500 }),
+      '/launch/page': page(),
+    });
+    const resp = await fetchPage('https://site.test/launch/page', getEnv());
+    assert.equal(resp.status, 503);
+    assert.equal(resp.headers.get('cache-control'), 'no-store');
+    assert.ok(!requests.some((req) => req.url.includes('/launch/')));
+  });
+
+  it('Serves nothing while the sheet is too slow', async () => {
+    stubOrigin({ '/access.json': () => new Promise(() => {}), '/launch/page': page() });
+    const resp = await fetchPage('https://site.test/launch/page', getEnv({ ORIGIN_TIMEOUT: '20' }));
+    assert.equal(resp.status, 503);
+  });
+
+  it('Keeps the last rules when a refresh fails', async () => {
+    const env = getEnv({ SHEET_TTL: '0.001' });
+    stubOrigin({ '/access.json': sheet([{ path: '/launch/' }]), '/page': page() });
+    await fetchPage('https://site.test/page', env);
+    await new Promise((resolve) => { setTimeout(resolve, 5); });
+    stubOrigin({ '/access.json': new Response('Error', { status: 500 }), '/page': page() });
+    const hidden = await fetchPage('https://site.test/launch/page', env);
+    assert.equal(hidden.status, 404);
+    const open = await fetchPage('https://site.test/page', env);
+    assert.equal(open.status, 200);
+  });
+});
+
+describe('Basic auth', () => {
+  const RULES = [{ path: '/launches/', action: '401' }];
+  const VARS = { ACCESS_CREDENTIALS: 'editor:secret' };
+
+  it('Asks for credentials', async () => {
+    stubOrigin({ '/access.json': sheet(RULES), '/launches/spring': page() });
+    const resp = await fetchPage('https://site.test/launches/spring', getEnv(VARS));
+    assert.equal(resp.status, 401);
+    assert.match(resp.headers.get('www-authenticate'), /^Basic realm=/);
+    assert.equal(resp.headers.get('cache-control'), 'no-store');
+  });
+
+  it('Lets visitors with credentials in', async () => {
+    stubOrigin({ '/access.json': sheet(RULES), '/launches/spring': page() });
+    const env = getEnv(VARS);
+    const resp = await fetchPage('https://site.test/launches/spring', env, { headers: basic('editor:secret') });
+    assert.equal(resp.status, 200);
+  });
+
+  it('Refuses wrong credentials', async () => {
+    stubOrigin({ '/access.json': sheet(RULES), '/launches/spring': page() });
+    const env = getEnv(VARS);
+    const resp = await fetchPage('https://site.test/launches/spring', env, { headers: basic('editor:guess') });
+    assert.equal(resp.status, 401);
+  });
+
+  it('Reads the credentials from the secret of the rule', async () => {
+    const rules = [{ ...RULES[0], secret: 'LAUNCH_USERS' }];
+    stubOrigin({ '/access.json': sheet(rules), '/launches/spring': page() });
+    const env = getEnv({ ...VARS, LAUNCH_USERS: 'agency:pass, partner:word' });
+    const resp = await fetchPage('https://site.test/launches/spring', env, { headers: basic('partner:word') });
+    assert.equal(resp.status, 200);
+  });
+});
+
+describe('IP rules', () => {
+  const RULES = [{ path: '/internal/', action: 'ip', allow: '203.0.113.7, 10.0.0.0/8' }];
+
+  const getStatus = async (ip) => {
+    stubOrigin({ '/access.json': sheet(RULES), '/internal/page': page() });
+    const headers = ip ? { 'cf-connecting-ip': ip } : {};
+    const resp = await fetchPage('https://site.test/internal/page', getEnv(), { headers });
+    return resp.status;
+  };
+
+  it('Lets listed IPs in', async () => {
+    assert.equal(await getStatus('203.0.113.7'), 200);
+  });
+
+  it('Lets IPs of a CIDR range in', async () => {
+    assert.equal(await getStatus('10.20.30.40'), 200);
+  });
+
+  it('Hides the path from other IPs', async () => {
+    assert.equal(await getStatus('203.0.113.8'), 404);
+    assert.equal(await getStatus('11.0.0.1'), 404);
+    assert.equal(await getStatus(), 404);
+  });
+});
+
+describe('Access rules', () => {
+  it('Reads rules from ACCESS_RULES', async () => {
+    stubOrigin({ '/private/page': page() });
+    const env = getEnv({ ACCESS_RULES: JSON.stringify([{ path: '/private/' }]) });
+    const resp = await fetchPage('https://site.test/private/page', env);
+    assert.equal(resp.status, 404);
+  });
+
+  it('Removes protected pages from query indexes', async () => {
+    const index = [{ path: '/page' }, { path: '/drafts/page' }, { path: '/private/page' }];
+    stubOrigin({ '/access.json': sheet([{ path: '/private/' }]), '/query-index.json': sheet(index) });
+    const resp = await fetchPage('https://site.test/query-index.json', getEnv());
+    const json = await resp.json();
+    assert.deepEqual(json.data, [{ path: '/page' }]);
+    assert.equal(json.total, 1);
+  });
+
+  it('Keeps query indexes of visitors who pass a rule out of shared caches', async () => {
+    const index = [{ path: '/page' }, { path: '/internal/page' }];
+    const rules = [{ path: '/internal/', action: 'ip', allow: '203.0.113.7' }];
+    const getIndex = async (ip) => {
+      const indexResp = sheet(index);
+      indexResp.headers.set('cache-control', 'public, max-age=300');
+      stubOrigin({ '/access.json': sheet(rules), '/query-index.json': indexResp });
+      const headers = { 'cf-connecting-ip': ip };
+      const resp = await fetchPage('https://site.test/query-index.json', getEnv(), { headers });
+      return { resp, json: await resp.json() };
+    };
+
+    const office = await getIndex('203.0.113.7');
+    assert.equal(office.json.data.length, 2);
+    assert.equal(office.resp.headers.get('cache-control'), 'private, no-store');
+
+    const visitor = await getIndex('198.51.100.1');
+    assert.deepEqual(visitor.json.data, [{ path: '/page' }]);
+    assert.equal(visitor.resp.headers.get('cache-control'), 'public, max-age=300');
+  });
+});
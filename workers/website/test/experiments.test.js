@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HTML,
+  fetchPage,
+  getEnv,
+  sheet,
+  stubOrigin,
+} from './stubs.js';
+
+const DOC = '<html><head><title>Page</title></head><body></body></html>';
+
+const getPage = async (split, cookie) => {
+  const rows = [{ experiment: 'hero', control: '/page', variant: '/page-b', split }];
+  const requests = stubOrigin({
+    '/experiments.json': sheet(rows),
+    '/page': new Response(DOC, { headers: HTML }),
+    '/page-b': new Response(DOC, { headers: HTML }),
+  });
+  const headers = cookie ? { cookie } : {};
+  const resp = await fetchPage('https://site.test/page', getEnv(), { headers });
+  const paths = requests.map((req) => new URL(req.url).pathname);
+  return { resp, html: await resp.text(), fetched: paths.filter((path) => path.startsWith('/page')) };
+};
+
+describe('Experiments', () => {
+  it('Assigns new visitors to a variant', async () => {
+    const { resp, html, fetched } = await getPage('100');
+    assert.deepEqual(fetched, ['/page-b']);
+    assert.match(resp.headers.get('set-cookie'), /^ak-exp-hero=challenger-1; Max-Age=\d+; Path=\//);
+    assert.equal(resp.headers.get('cache-control'), 'private, no-cache');
+    assert.ok(html.includes('<meta name="experiment" content="hero">'));
+    assert.ok(html.includes('<meta name="experiment-variant" content="challenger-1"></head>'));
+  });
+
+  it('Keeps the rest of the traffic on the control', async () => {
+    const { resp, fetched } = await getPage('0');
+    assert.deepEqual(fetched, ['/page']);
+    assert.match(resp.headers.get('set-cookie'), /^ak-exp-hero=control;/);
+  });
+
+  it('Keeps visitors on their variant', async () => {
+    const { resp, html, fetched } = await getPage('0', 'theme=dark; ak-exp-hero=challenger-1');
+    assert.deepEqual(fetched, ['/page-b']);
+    assert.equal(resp.headers.get('set-cookie'), null);
+    assert.ok(html.includes('content="challenger-1"'));
+  });
+
+  it('Keeps visitors on the control', async () => {
+    const { resp, fetched } = await getPage('100', 'ak-exp-hero=control');
+    assert.deepEqual(fetched, ['/page']);
+    assert.equal(resp.headers.get('set-cookie'), null);
+  });
+
+  it('Assigns visitors of a removed variant again', async () => {
+    const { resp, fetched } = await getPage('100', 'ak-exp-hero=challenger-2');
+    assert.deepEqual(fetched, ['/page-b']);
+    assert.match(resp.headers.get('set-cookie'), /^ak-exp-hero=challenger-1;/);
+  });
+});
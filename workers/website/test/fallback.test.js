@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HTML,
+  fetchPage,
+  getCtx,
+  getEnv,
+  stubOrigin,
+} from './stubs.js';
+
+const hang = () => new Promise(() => {});
+
+const cacheGood = async (env) => {
+  const headers = { ...HTML, 'set-cookie': 'session=1' };
+  stubOrigin({ '/page': new Response('good', { headers }) });
+  const ctx = getCtx();
+  await fetchPage('https://site.test/page', env, {}, ctx);
+  await ctx.settled();
+};
+
+describe('Last good copy', () => {
+  it('Serves the last good copy when origin errors', async () => {
+    const env = getEnv();
+    await cacheGood(env);
+    stubOrigin({ '/page': new Response('error', { status: 503 }) });
+    const resp = await fetchPage('https://site.test/page', env);
+    assert.equal(resp.status, 200);
+    assert.equal(await resp.text(), 'good');
+    assert.equal(resp.headers.get('x-origin-fallback'), '503');
+    assert.equal(resp.headers.get('cache-control'), 'no-cache');
+    assert.equal(resp.headers.get('set-cookie'), null);
+    assert.match(resp.headers.get('warning'), /Stale/);
+  });
+
+  it('Serves the last good copy when origin is too slow', async () => {
+    const env = getEnv({ ORIGIN_TIMEOUT: '20' });
+    await cacheGood(env);
+    stubOrigin({ '/page': hang });
+    const resp = await fetchPage('https://site.test/page', env);
+    assert.equal(await resp.text(), 'good');
+    assert.equal(resp.headers.get('x-origin-fallback'), 'unavailable');
+  });
+
+  it('Passes errors through without a copy', async () => {
+    stubOrigin({ '/page': new Response('error', { status: 503 }) });
+    const resp = await fetchPage('https://site.test/page', getEnv());
+    assert.equal(resp.status, 503);
+  });
+
+  it('Keeps no copy of errors', async () => {
+    const env = getEnv();
+    stubOrigin({ '/page': new Response('missing', { status: 404, headers: HTML }) });
+    const ctx = getCtx();
+    await fetchPage('https://site.test/page', env, {}, ctx);
+    await ctx.settled();
+    stubOrigin({ '/page': new Response('error', { status: 500 }) });
+    const resp = await fetchPage('https://site.test/page', env);
+    assert.equal(resp.status, 500);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HTML,
+  fetchPage,
+  getEnv,
+  sheet,
+  stubOrigin,
+} from './stubs.js';
+
+const ORIGIN_CSP = "script-src 'nonce-aem'";
+
+const DOC = `<html><head>
+<meta http-equiv="content-security-policy" content="script-src 'nonce-aem'">
+<script src="/scripts/scripts.js" type="module"></script>
+</head><body>
+<script>window.untrusted = true;</script>
+<script nonce="aem">window.trusted = true;</script>
+</body></html>`;
+
+const getPage = async (vars, routes = {}, body = 'page') => {
+  const headers = { ...HTML, 'content-security-policy': ORIGIN_CSP };
+  stubOrigin({ '/page': new Response(body, { headers }), ...routes });
+  return fetchPage('https://site.test/page', getEnv(vars));
+};
+
+describe('Security headers', () => {
+  it('Keeps the CSP from origin', async () => {
+    const resp = await getPage();
+    const policy = resp.headers.get('content-security-policy');
+    assert.ok(policy.startsWith("script-src 'nonce-") && policy !== ORIGIN_CSP);
+  });
+
+  it('Sets a strict CSP when opted in', async () => {
+    const resp = await getPage({ CSP: 'strict' });
+    assert.match(resp.headers.get('content-security-policy'), /'strict-dynamic'/);
+  });
+
+  it('Sets the default headers', async () => {
+    const resp = await getPage();
+    assert.equal(resp.headers.get('strict-transport-security'), 'max-age=31536000');
+    assert.equal(resp.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(resp.headers.get('referrer-policy'), 'strict-origin-when-cross-origin');
+  });
+
+  it('Reads headers from env vars', async () => {
+    const HSTS = 'max-age=63072000; includeSubDomains; preload';
+    const resp = await getPage({ HSTS, REFERRER_POLICY: 'disabled' });
+    assert.equal(resp.headers.get('strict-transport-security'), HSTS);
+    assert.equal(resp.headers.get('referrer-policy'), null);
+  });
+
+  it('Reads headers per path from the headers sheet', async () => {
+    const rules = [
+      { path: '/page', header: 'X-Frame-Options', value: 'DENY' },
+      { path: '/*', header: 'x-content-type-options', value: '' },
+      { path: '/other', header: 'x-other', value: 'other' },
+    ];
+    const resp = await getPage({}, { '/headers.json': sheet(rules) });
+    assert.equal(resp.headers.get('x-frame-options'), 'DENY');
+    assert.equal(resp.headers.get('x-content-type-options'), null);
+    assert.equal(resp.headers.get('x-other'), null);
+  });
+
+  it('Can be disabled', async () => {
+    const resp = await getPage({ SECURITY_HEADERS: 'disabled' });
+    assert.equal(resp.headers.get('strict-transport-security'), null);
+    assert.equal(resp.headers.get('content-security-policy'), ORIGIN_CSP);
+  });
+});
+
+describe('Nonces', () => {
+  const getNonce = (resp) => resp.headers.get('content-security-policy').match(/'nonce-([^']+)'/)[1];
+
+  it('Uses a new nonce for each request', async () => {
+    const first = getNonce(await getPage());
+    const second = getNonce(await getPage());
+    assert.notEqual(first, second);
+  });
+
+  it('Adds the nonce to head scripts and the scripts that opt in', async () => {
+    const resp = await getPage({}, {}, DOC);
+    const nonce = getNonce(resp);
+    const html = await resp.text();
+    assert.ok(html.includes(`<script src="/scripts/scripts.js" type="module" nonce="${nonce}">`));
+    assert.ok(html.includes(`<script nonce="${nonce}">window.trusted = true;</script>`));
+    assert.ok(html.includes('<script>window.untrusted = true;</script>'));
+  });
+
+  it('Adds the nonce to the CSP of meta tags', async () => {
+    const resp = await getPage({}, {}, DOC);
+    const html = await resp.text();
+    assert.ok(html.includes(`content="script-src 'nonce-${getNonce(resp)}'"`));
+  });
+
+  it('Leaves the CSP of other responses alone', async () => {
+    const headers = { 'content-type': 'application/json', 'content-security-policy': ORIGIN_CSP };
+    stubOrigin({ '/data.json': new Response('{}', { headers }) });
+    const resp = await fetchPage('https://site.test/data.json', getEnv({ CSP: 'strict' }));
+    assert.equal(resp.headers.get('content-security-policy'), ORIGIN_CSP);
+  });
+});
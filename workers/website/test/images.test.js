@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fetchPage,
+  getEnv,
+  stubOrigin,
+} from './stubs.js';
+
+const HASH = '1a2b3c4d5e6f7a8b9c0d1a2b3c4d5e6f7a8b9c0d';
+
+const getImage = async (file, search, accept = '', vars = {}) => {
+  const path = `/media_${HASH}.${file}`;
+  const requests = stubOrigin({ [path]: new Response('image', { headers: { 'content-type': 'image/jpeg' } }) });
+  const resp = await fetchPage(`https://site.test${path}${search}`, getEnv(vars), { headers: { accept } });
+  const req = requests.find((request) => request.url.includes('/media_'));
+  return { resp, url: new URL(req.url), image: req.cf.image };
+};
+
+describe('Images', () => {
+  it('Serves WebP to browsers that accept it', async () => {
+    const { resp, url } = await getImage('jpg', '?width=750', 'image/avif,image/webp,*/*');
+    assert.equal(url.searchParams.get('format'), 'webply');
+    assert.equal(resp.headers.get('vary'), 'accept');
+  });
+
+  it('Serves AVIF with image resizing', async () => {
+    const vars = { IMAGE_RESIZING: 'enabled' };
+    const { url, image } = await getImage('jpg', '?width=750', 'image/avif,image/webp', vars);
+    assert.equal(image.format, 'avif');
+    assert.equal(url.searchParams.get('format'), null);
+  });
+
+  it('Keeps the format of other browsers', async () => {
+    const { url, image } = await getImage('jpg', '?width=750&format=jpg', 'image/*');
+    assert.equal(url.searchParams.get('format'), 'jpg');
+    assert.equal(image, undefined);
+  });
+
+  it('Keeps animations and vectors', async () => {
+    const { url } = await getImage('gif', '?format=gif', 'image/webp');
+    assert.equal(url.searchParams.get('format'), 'gif');
+  });
+
+  it('Keeps animations and vectors without a format param', async () => {
+    const vars = { IMAGE_RESIZING: 'enabled' };
+    const gif = await getImage('gif', '?width=750', 'image/avif,image/webp', vars);
+    assert.equal(gif.url.searchParams.get('format'), null);
+    assert.equal(gif.image, undefined);
+    const svg = await getImage('svg', '', 'image/webp');
+    assert.equal(svg.url.searchParams.get('format'), null);
+  });
+
+  it('Buckets widths and heights', async () => {
+    const { url } = await getImage('jpg', '?width=600&height=300');
+    assert.equal(url.searchParams.get('width'), '750');
+    assert.equal(url.searchParams.get('height'), '375');
+  });
+
+  it('Buckets to the widths of IMAGE_WIDTHS', async () => {
+    const { url } = await getImage('jpg', '?width=5000', '', { IMAGE_WIDTHS: '800, 400' });
+    assert.equal(url.searchParams.get('width'), '800');
+  });
+
+  it('Crops on the focal point with image resizing', async () => {
+    const vars = { IMAGE_RESIZING: 'enabled' };
+    const { url, image } = await getImage('jpg', '?width=750&crop=30,70', '', vars);
+    assert.deepEqual(image, { fit: 'cover', gravity: { x: 0.3, y: 0.7 }, width: 750 });
+    assert.equal(url.searchParams.get('crop'), null);
+  });
+
+  it('Ignores crops without image resizing', async () => {
+    const { url, image } = await getImage('jpg', '?width=750&crop=30,70&fit=cover');
+    assert.equal(image, undefined);
+    assert.equal(url.search, '?width=750');
+  });
+});
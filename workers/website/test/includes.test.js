@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HTML,
+  fetchPage,
+  getEnv,
+  stubOrigin,
+} from './stubs.js';
+
+const VARS = { FRAGMENT_INCLUDES: 'enabled' };
+
+const doc = (main, head = '') => `<html><head>${head}</head><body><header></header>
+<main><div><p><a href="/fragments/promo">Promo</a></p>${main}</div></main>
+<footer></footer></body></html>`;
+
+const plain = (html) => new Response(html, { headers: HTML });
+
+const getPage = async (path, body, routes = {}, vars = VARS) => {
+  const requests = stubOrigin({ [path]: plain(body), ...routes });
+  const resp = await fetchPage(`https://site.test${path}`, getEnv(vars));
+  // Fragments are fetched while the body is read
+  const html = await resp.text();
+  const fetched = requests.map((req) => new URL(req.url).pathname)
+    .filter((pathname) => pathname.endsWith('.plain.html'));
+  return { html, fetched };
+};
+
+describe('Includes', () => {
+  it('Adds fragments after their link', async () => {
+    const routes = { '/fragments/promo.plain.html': plain('<div><p>Spring sale</p></div>') };
+    const { html } = await getPage('/page', doc(''), routes);
+    assert.ok(html.includes('</a><template data-include="/fragments/promo"><div><p>Spring sale</p></div></template>'));
+  });
+
+  it('Adds the header and footer', async () => {
+    const routes = {
+      '/fragments/nav/header.plain.html': plain('<div>Nav</div>'),
+      '/fragments/nav/footer.plain.html': plain('<div>Links</div>'),
+    };
+    const { html } = await getPage('/page', doc(''), routes);
+    assert.ok(html.includes('<header><template data-include="/fragments/nav/header"><div>Nav</div></template></header>'));
+    assert.ok(html.includes('<footer><template data-include="/fragments/nav/footer"><div>Links</div></template></footer>'));
+  });
+
+  it('Follows the header metadata', async () => {
+    const head = '<meta name="header" content="/fragments/nav/campaign"><meta name="footer" content="off">';
+    const { fetched } = await getPage('/page', doc('', head));
+    assert.ok(fetched.includes('/fragments/nav/campaign.plain.html'));
+    assert.ok(!fetched.some((path) => path.includes('footer')));
+  });
+
+  it('Adds fragments of fragments', async () => {
+    const routes = {
+      '/fragments/promo.plain.html': plain('<div><a href="/fragments/legal">Legal</a></div>'),
+      '/fragments/legal.plain.html': plain('<div>Terms</div>'),
+    };
+    const { html } = await getPage('/page', doc(''), routes);
+    assert.ok(html.includes('<template data-include="/fragments/legal"><div>Terms</div></template>'));
+  });
+
+  it('Stops at fragments that include themselves', async () => {
+    const routes = { '/fragments/promo.plain.html': plain('<div><a href="/fragments/promo">Promo</a></div>') };
+    const { fetched } = await getPage('/page', doc(''), routes);
+    assert.equal(fetched.filter((path) => path === '/fragments/promo.plain.html').length, 1);
+  });
+
+  it('Uses the fragments of the page locale', async () => {
+    const { fetched } = await getPage('/de/page', doc('<a href="/fragments/legal#_dnt">Legal</a>'));
+    assert.ok(fetched.includes('/de/fragments/promo.plain.html'));
+    assert.ok(fetched.includes('/de/fragments/nav/header.plain.html'));
+    assert.ok(fetched.includes('/fragments/legal.plain.html'));
+  });
+
+  it('Leaves protected fragments to the client', async () => {
+    const { fetched } = await getPage('/page', doc('<a href="/drafts/fragments/wip">WIP</a>'));
+    assert.ok(!fetched.some((path) => path.startsWith('/drafts/')));
+  });
+
+  it('Is opt-in', async () => {
+    const { fetched } = await getPage('/page', doc(''), {}, {});
+    assert.deepEqual(fetched, []);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HTML,
+  fetchPage,
+  getEnv,
+  stubOrigin,
+} from './stubs.js';
+
+const JSON_TYPE = { 'content-type': 'application/json' };
+
+const MEDIA = '/media_1a2b3c4d5e6f7a8b9c0d1a2b3c4d5e6f7a8b9c0d.jpg';
+
+describe('Port redirects', () => {
+  it('Redirects to the default port', async () => {
+    stubOrigin();
+    const resp = await fetchPage('https://site.test:8443/page?a=1', getEnv());
+    assert.equal(resp.status, 301);
+    assert.equal(resp.headers.get('location'), 'https://site.test/page?a=1');
+  });
+
+  it('Keeps the port on localhost', async () => {
+    stubOrigin({ '/page': new Response('page', { headers: HTML }) });
+    const resp = await fetchPage('http://localhost:8787/page', getEnv());
+    assert.equal(resp.status, 200);
+  });
+});
+
+describe('Search params', () => {
+  const getOriginUrl = async (href) => {
+    const requests = stubOrigin();
+    await fetchPage(href, getEnv());
+    const { pathname } = new URL(href);
+    return new URL(requests.find((req) => new URL(req.url).pathname === pathname).url);
+  };
+
+  it('Removes all params from pages', async () => {
+    const url = await getOriginUrl('https://site.test/page?utm_source=mail&width=100');
+    assert.equal(url.search, '');
+  });
+
+  it('Keeps and sorts sheet params', async () => {
+    const url = await getOriginUrl('https://site.test/sheet.json?sheet=a&foo=bar&offset=10&limit=5');
+    assert.equal(url.search, '?limit=5&offset=10&sheet=a');
+  });
+
+  it('Keeps image params on media', async () => {
+    const url = await getOriginUrl(`https://site.test${MEDIA}?optimize=medium&foo=bar&format=png`);
+    assert.equal(url.search, '?format=png&optimize=medium');
+  });
+});
+
+describe('Schedules', () => {
+  const HOUR = 3600000;
+  const iso = (time) => new Date(time).toISOString();
+
+  const getSchedule = async (data, init) => {
+    const json = { total: data.length, data };
+    stubOrigin({ '/schedules/promo.json': new Response(JSON.stringify(json), { headers: JSON_TYPE }) });
+    const resp = await fetchPage('https://site.test/schedules/promo.json', getEnv(), init);
+    return { resp, json: await resp.json() };
+  };
+
+  it('Keeps the default and active rows', async () => {
+    const now = Date.now();
+    const { json } = await getSchedule([
+      { fragment: '/fragments/default' },
+      { fragment: '/fragments/past', start: iso(now - (2 * HOUR)), end: iso(now - HOUR) },
+      { fragment: '/fragments/now', start: iso(now - HOUR), end: iso(now + HOUR) },
+      { fragment: '/fragments/future', start: iso(now + HOUR), end: iso(now + (2 * HOUR)) },
+    ]);
+    assert.deepEqual(json.data.map(({ fragment }) => fragment), ['/fragments/default', '/fragments/now']);
+  });
+
+  it('Expires when the next row starts', async () => {
+    const now = Date.now();
+    const { resp } = await getSchedule([
+      { fragment: '/fragments/default' },
+      { fragment: '/fragments/soon', start: iso(now + (10 * 60000)), end: iso(now + HOUR) },
+    ]);
+    const maxAge = Number(resp.headers.get('cache-control').match(/max-age=(\d+)/)[1]);
+    assert.ok(maxAge > 0 && maxAge <= 600);
+  });
+
+  it('Leaves sheets without fragments alone', async () => {
+    const { json } = await getSchedule([{ title: 'Not a schedule' }]);
+    assert.deepEqual(json.data, [{ title: 'Not a schedule' }]);
+  });
+
+  describe('Targeting', () => {
+    const TARGETED = [
+      { fragment: '/fragments/default' },
+      { fragment: '/fragments/us', country: 'us, ca' },
+      { fragment: '/fragments/de', locale: 'de' },
+      { fragment: '/fragments/mobile', device: 'mobile' },
+      { fragment: '/fragments/vip', audience: 'vip' },
+    ];
+
+    const getFragments = async (init) => {
+      const { json } = await getSchedule(TARGETED, init);
+      return json.data.map(({ fragment }) => fragment);
+    };
+
+    it('Filters rows by the country of the visitor', async () => {
+      const fragments = await getFragments({ cf: { country: 'CA' } });
+      assert.ok(fragments.includes('/fragments/us'));
+      assert.ok(!(await getFragments({ cf: { country: 'FR' } })).includes('/fragments/us'));
+    });
+
+    it('Leaves rows of unknown countries to the page', async () => {
+      assert.ok((await getFragments()).includes('/fragments/us'));
+    });
+
+    it('Leaves locale rows to the page', async () => {
+      const headers = { 'accept-language': 'fr' };
+      assert.ok((await getFragments({ headers })).includes('/fragments/de'));
+    });
+
+    it('Filters rows by the device of the visitor', async () => {
+      const iphone = { 'user-agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X)' };
+      const hint = { 'sec-ch-ua-mobile': '?1', 'user-agent': 'Mozilla/5.0 (Linux)' };
+      const desktop = { 'sec-ch-ua-mobile': '?0', 'user-agent': 'Mozilla/5.0 (Macintosh)' };
+      assert.ok((await getFragments({ headers: iphone })).includes('/fragments/mobile'));
+      assert.ok((await getFragments({ headers: hint })).includes('/fragments/mobile'));
+      assert.ok(!(await getFragments({ headers: desktop })).includes('/fragments/mobile'));
+    });
+
+    it('Filters rows by the audience cookie', async () => {
+      const vip = { cookie: 'theme=dark; ak-audience=returning%2C%20VIP' };
+      const other = { cookie: 'ak-audience=returning' };
+      assert.ok((await getFragments({ headers: vip })).includes('/fragments/vip'));
+      assert.ok(!(await getFragments({ headers: other })).includes('/fragments/vip'));
+    });
+
+    it('Drops audience rows without an audience cookie', async () => {
+      const headers = { cookie: 'theme=dark' };
+      assert.ok(!(await getFragments({ headers })).includes('/fragments/vip'));
+    });
+
+    it('Only lets the browser cache targeted schedules', async () => {
+      const { resp } = await getSchedule(TARGETED);
+      assert.match(resp.headers.get('cache-control'), /^private, max-age=\d+$/);
+    });
+
+    it('Lets shared caches store untargeted schedules', async () => {
+      const { resp } = await getSchedule([{ fragment: '/fragments/default' }]);
+      assert.match(resp.headers.get('cache-control'), /^public, .*s-maxage=\d+/);
+    });
+  });
+});
+
+describe('Origin responses', () => {
+  it('Removes the CSP from 304s', async () => {
+    const headers = { ...HTML, 'content-security-policy': "script-src 'self'" };
+    stubOrigin({ '/page': new Response(null, { status: 304, headers }) });
+    const resp = await fetchPage('https://site.test/page', getEnv());
+    assert.equal(resp.status, 304);
+    assert.equal(resp.headers.get('content-security-policy'), null);
+  });
+
+  it('Keeps the search of redirects', async () => {
+    const headers = { location: 'https://site.test/new' };
+    stubOrigin({ '/old': new Response(null, { status: 301, headers }) });
+    const resp = await fetchPage('https://site.test/old?campaign=spring', getEnv());
+    assert.equal(resp.status, 301);
+    assert.equal(resp.headers.get('location'), 'https://site.test/new?campaign=spring');
+  });
+
+  it('Does not add a search to redirects that have one', async () => {
+    const headers = { location: 'https://site.test/new?lang=de' };
+    stubOrigin({ '/old': new Response(null, { status: 301, headers }) });
+    const resp = await fetchPage('https://site.test/old?campaign=spring', getEnv());
+    assert.equal(resp.headers.get('location'), 'https://site.test/new?lang=de');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HTML,
+  fetchPage,
+  getEnv,
+  sheet,
+  stubOrigin,
+} from './stubs.js';
+
+const INDEX = [{ path: '/about' }, { path: '/de/about' }, { path: '/fr/about' }];
+
+const getPage = async (path, headers, vars = { LOCALE_REDIRECT: 'enabled' }, routes = {}) => {
+  const page = new Response('page', { headers: HTML });
+  stubOrigin({ '/query-index.json': sheet(INDEX), [path]: page, ...routes });
+  return fetchPage(`https://site.test${path}?campaign=spring`, getEnv(vars), { headers });
+};
+
+describe('Locale redirects', () => {
+  it('Redirects to the locale of the visitor', async () => {
+    const resp = await getPage('/about', { 'accept-language': 'de-DE,de;q=0.9,en;q=0.8' });
+    assert.equal(resp.status, 302);
+    assert.equal(resp.headers.get('location'), 'https://site.test/de/about?campaign=spring');
+    assert.match(resp.headers.get('set-cookie'), /^ak-locale=de;/);
+    assert.equal(resp.headers.get('cache-control'), 'private, no-store');
+  });
+
+  it('Follows the quality of languages', async () => {
+    const resp = await getPage('/about', { 'accept-language': 'de;q=0.5, fr;q=0.8' });
+    assert.equal(resp.headers.get('location'), 'https://site.test/fr/about?campaign=spring');
+  });
+
+  it('Keeps visitors with a locale cookie', async () => {
+    const headers = { 'accept-language': 'de', cookie: 'ak-locale=en' };
+    const resp = await getPage('/about', headers);
+    assert.equal(resp.status, 200);
+  });
+
+  it('Only redirects to pages that exist', async () => {
+    const resp = await getPage('/contact', { 'accept-language': 'de' });
+    assert.equal(resp.status, 200);
+  });
+
+  it('Does not redirect to protected pages', async () => {
+    const routes = { '/access.json': sheet([{ path: '/de/', action: '401' }]) };
+    const resp = await getPage('/about', { 'accept-language': 'de' }, undefined, routes);
+    assert.equal(resp.status, 200);
+  });
+
+  it('Leaves pages of other locales alone', async () => {
+    const resp = await getPage('/fr/about', { 'accept-language': 'de' });
+    assert.equal(resp.status, 200);
+  });
+
+  it('Is opt-in', async () => {
+    const resp = await getPage('/about', { 'accept-language': 'de' }, {});
+    assert.equal(resp.status, 200);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fetchPage,
+  getEnv,
+  sheet,
+  stubOrigin,
+} from './stubs.js';
+
+const SECRET = 'preview-secret';
+const HOUR = 3600000;
+
+const sign = async (seconds, secret = SECRET) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign'],
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${seconds}`));
+  const hex = [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, '0'));
+  return `${seconds}.${hex.join('')}`;
+};
+
+describe('Schedule previews', () => {
+  // A row that starts tomorrow, so only a preview shows it
+  const start = Date.now() + (24 * HOUR);
+  const ROWS = [
+    { fragment: '/fragments/default' },
+    {
+      fragment: '/fragments/launch',
+      start: new Date(start).toISOString(),
+      end: new Date(start + HOUR).toISOString(),
+    },
+  ];
+
+  const getPreview = async (token) => {
+    stubOrigin({ '/schedules/promo.json': sheet(ROWS) });
+    const env = getEnv({ SCHEDULE_PREVIEW_SECRET: SECRET });
+    const resp = await fetchPage(`https://site.test/schedules/promo.json?schedule=${token}`, env);
+    const json = await resp.json();
+    return { resp, fragments: json.data.map(({ fragment }) => fragment) };
+  };
+
+  it('Shows the rows of a signed time', async () => {
+    const token = await sign(Math.floor((start + 60000) / 1000));
+    const { resp, fragments } = await getPreview(token);
+    assert.deepEqual(fragments, ['/fragments/default', '/fragments/launch']);
+    assert.equal(resp.headers.get('cache-control'), 'private, no-store');
+  });
+
+  it('Ignores tokens signed with another secret', async () => {
+    const token = await sign(Math.floor((start + 60000) / 1000), 'guess');
+    const { resp, fragments } = await getPreview(token);
+    assert.deepEqual(fragments, ['/fragments/default']);
+    assert.match(resp.headers.get('cache-control'), /^public/);
+  });
+
+  it('Ignores tokens for another time', async () => {
+    const token = await sign(Math.floor((start + 60000) / 1000));
+    const { fragments } = await getPreview(token.replace(/^\d/, (digit) => (digit === '1' ? '2' : '1')));
+    assert.deepEqual(fragments, ['/fragments/default']);
+  });
+});
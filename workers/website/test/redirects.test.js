@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fetchPage,
+  getEnv,
+  sheet,
+  stubOrigin,
+} from './stubs.js';
+
+const RULES = [
+  { source: '/old', destination: '/new' },
+  { source: '/moved', destination: 'https://other.test/moved', status: '302' },
+  { source: '/blog/*', destination: '/news/*' },
+  { source: '^/products/(\\d+)/(.*)$', destination: '/shop/$2?id=$1' },
+  { source: '^/broken/(', destination: '/never' },
+];
+
+const getRedirect = async (href, vars) => {
+  stubOrigin({ '/redirects.json': sheet(RULES) });
+  const resp = await fetchPage(href, getEnv(vars));
+  return { status: resp.status, location: resp.headers.get('location') };
+};
+
+describe('Redirects', () => {
+  it('Redirects exact paths', async () => {
+    const { status, location } = await getRedirect('https://site.test/old');
+    assert.equal(status, 301);
+    assert.equal(location, 'https://site.test/new');
+  });
+
+  it('Uses the status of the row', async () => {
+    const { status, location } = await getRedirect('https://site.test/moved');
+    assert.equal(status, 302);
+    assert.equal(location, 'https://other.test/moved');
+  });
+
+  it('Replaces wildcards', async () => {
+    const { location } = await getRedirect('https://site.test/blog/2024/post');
+    assert.equal(location, 'https://site.test/news/2024/post');
+  });
+
+  it('Replaces regex captures', async () => {
+    const { location } = await getRedirect('https://site.test/products/42/chair');
+    assert.equal(location, 'https://site.test/shop/chair?id=42');
+  });
+
+  it('Keeps the search when the destination has none', async () => {
+    const { location } = await getRedirect('https://site.test/old?campaign=spring');
+    assert.equal(location, 'https://site.test/new?campaign=spring');
+  });
+
+  it('Skips invalid patterns', async () => {
+    const { status } = await getRedirect('https://site.test/broken/(');
+    assert.notEqual(status, 301);
+  });
+
+  it('Can be disabled', async () => {
+    const { status } = await getRedirect('https://site.test/old', { REDIRECTS: 'disabled' });
+    assert.equal(status, 404);
+  });
+});
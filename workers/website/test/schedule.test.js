@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+/* eslint-disable import/no-relative-packages */
+import {
+  getNextChange,
+  isActive,
+  parseRecurrence,
+  parseTime,
+} from '../../../scripts/utils/schedule.js';
+/* eslint-enable import/no-relative-packages */
+
+const NY = 'America/New_York';
+
+const at = (iso) => Date.parse(iso);
+
+describe('Schedule times', () => {
+  it('Parses wall clock times in a timezone', () => {
+    assert.equal(parseTime('2025-01-15T09:00', NY), at('2025-01-15T14:00Z'));
+    assert.equal(parseTime('2025-07-15T09:00', NY), at('2025-07-15T13:00Z'));
+    assert.equal(parseTime('2025-07-15', 'Asia/Tokyo'), at('2025-07-14T15:00Z'));
+  });
+
+  it('Ignores the timezone of dates with an offset', () => {
+    assert.equal(parseTime('2025-07-15T09:00Z', NY), at('2025-07-15T09:00Z'));
+    assert.equal(parseTime('2025-07-15T09:00+02:00', NY), at('2025-07-15T07:00Z'));
+  });
+
+  it('Converts times on either side of a DST change', () => {
+    // Clocks in New York spring forward at 02:00 on 2025-03-09
+    assert.equal(parseTime('2025-03-09T01:30', NY), at('2025-03-09T06:30Z'));
+    assert.equal(parseTime('2025-03-09T03:30', NY), at('2025-03-09T07:30Z'));
+    // And fall back at 02:00 on 2025-11-02, the first 01:30 is used
+    assert.equal(parseTime('2025-11-02T01:30', NY), at('2025-11-02T05:30Z'));
+    assert.equal(parseTime('2025-11-02T03:30', NY), at('2025-11-02T08:30Z'));
+  });
+
+  it('Rejects invalid clock times', () => {
+    assert.ok(Number.isNaN(parseTime('2025-07-15T25:99', NY)));
+    assert.ok(Number.isNaN(parseTime('2025-07-15T24:00', NY)));
+    assert.ok(Number.isNaN(parseTime('2025-07-15T09:60', NY)));
+  });
+
+  it('Throws on an invalid timezone', () => {
+    assert.throws(() => parseTime('2025-07-15T09:00', 'Mars/Olympus'), RangeError);
+  });
+});
+
+describe('Schedule recurrence', () => {
+  it('Parses daily and weekly windows', () => {
+    assert.deepEqual(parseRecurrence('09:00-17:00'), [{ period: 1440, start: 540, end: 1020 }]);
+    assert.deepEqual(parseRecurrence('Mon 09:00-12:00'), [
+      { period: 10080, start: 1980, end: 2160 },
+    ]);
+  });
+
+  it('Rejects invalid hours', () => {
+    assert.deepEqual(parseRecurrence('09:00-25:99'), []);
+    assert.deepEqual(parseRecurrence('Fri 24:00-Sat 09:00'), []);
+    assert.equal(parseRecurrence('25:99-09:00, 10:00-11:00').length, 1);
+  });
+
+  it('Evaluates windows wrapping around the week', () => {
+    const row = { recurrence: 'Fri 17:00-Mon 09:00', timezone: NY };
+    // 2025-07-18 is a Friday
+    assert.equal(isActive(row, at('2025-07-18T20:59Z')), false);
+    assert.equal(isActive(row, at('2025-07-18T21:00Z')), true);
+    assert.equal(isActive(row, at('2025-07-20T12:00Z')), true);
+    assert.equal(isActive(row, at('2025-07-21T12:59Z')), true);
+    assert.equal(isActive(row, at('2025-07-21T13:00Z')), false);
+    assert.equal(isActive(row, at('2025-07-23T12:00Z')), false);
+  });
+
+  it('Evaluates windows in UTC without a timezone', () => {
+    const row = { recurrence: '09:00-17:00' };
+    assert.equal(isActive(row, at('2025-07-15T09:00Z')), true);
+    assert.equal(isActive(row, at('2025-07-15T17:00Z')), false);
+  });
+
+  it('Bounds windows with start and end', () => {
+    const row = {
+      recurrence: '09:00-17:00',
+      start: '2025-07-15',
+      end: '2025-07-16',
+      timezone: NY,
+    };
+    assert.equal(isActive(row, at('2025-07-14T15:00Z')), false);
+    assert.equal(isActive(row, at('2025-07-15T15:00Z')), true);
+    assert.equal(isActive(row, at('2025-07-16T15:00Z')), false);
+  });
+
+  it('Throws on an invalid timezone', () => {
+    const row = { recurrence: '09:00-17:00', timezone: 'Mars/Olympus' };
+    assert.throws(() => isActive(row, at('2025-07-15T15:00Z')), RangeError);
+  });
+});
+
+describe('Schedule changes', () => {
+  it('Gets the next start or end', () => {
+    const rows = [
+      { start: '2025-07-15T09:00', end: '2025-07-15T17:00', timezone: NY },
+      { start: '2025-07-20T00:00Z', end: '2025-07-21T00:00Z' },
+    ];
+    assert.equal(getNextChange(rows, at('2025-07-15T12:00Z')), at('2025-07-15T13:00Z'));
+    assert.equal(getNextChange(rows, at('2025-07-15T14:00Z')), at('2025-07-15T21:00Z'));
+    assert.equal(getNextChange(rows, at('2025-07-16T00:00Z')), at('2025-07-20T00:00Z'));
+    assert.equal(getNextChange(rows, at('2025-07-22T00:00Z')), Infinity);
+  });
+
+  it('Gets the next change of a wrapping window', () => {
+    const rows = [{ recurrence: 'Fri 17:00-Mon 09:00', timezone: NY }];
+    assert.equal(getNextChange(rows, at('2025-07-16T12:00Z')), at('2025-07-18T21:00Z'));
+    assert.equal(getNextChange(rows, at('2025-07-19T12:00Z')), at('2025-07-21T13:00Z'));
+  });
+
+  it('Gets the next change across a DST change', () => {
+    const rows = [{ recurrence: '09:00-17:00', timezone: NY }];
+    // 09:00 is 13:00 UTC before 2025-11-02 and 14:00 UTC after
+    assert.equal(getNextChange(rows, at('2025-11-01T22:00Z')), at('2025-11-02T14:00Z'));
+  });
+
+  it('Ignores rows with an invalid timezone', () => {
+    const rows = [
+      { recurrence: '09:00-17:00', timezone: 'Mars/Olympus' },
+      { start: '2025-07-20T00:00Z', end: '2025-07-21T00:00Z' },
+    ];
+    assert.equal(getNextChange(rows, at('2025-07-15T12:00Z')), at('2025-07-20T00:00Z'));
+  });
+});
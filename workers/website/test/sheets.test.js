@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HTML,
+  fetchPage,
+  getEnv,
+  sheet,
+  stubOrigin,
+} from './stubs.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const getRedirects = (destination) => sheet([{ source: '/old', destination }]);
+
+describe('Sheets', () => {
+  it('Reads all pages of a sheet', async () => {
+    const rows = [...Array(1500).keys()].map((idx) => ({ source: `/old-${idx}`, destination: '/new' }));
+    const respond = (req) => {
+      const { searchParams } = new URL(req.url);
+      const offset = Number(searchParams.get('offset'));
+      const data = rows.slice(offset, offset + Number(searchParams.get('limit')));
+      return new Response(JSON.stringify({ total: rows.length, offset, data }));
+    };
+    const requests = stubOrigin({ '/redirects.json': respond });
+    const resp = await fetchPage('https://site.test/old-1499', getEnv());
+    assert.equal(resp.headers.get('location'), 'https://site.test/new');
+    assert.equal(requests.filter((req) => req.url.includes('/redirects.json')).length, 2);
+  });
+
+  it('Does not wait longer than the origin timeout', async () => {
+    const hang = () => new Promise(() => {});
+    stubOrigin({ '/redirects.json': hang, '/page': new Response('page', { headers: HTML }) });
+    const resp = await fetchPage('https://site.test/page', getEnv({ ORIGIN_TIMEOUT: '20' }));
+    assert.equal(resp.status, 200);
+  });
+
+  it('Serves the last rows when a refresh fails', async () => {
+    const env = getEnv({ SHEET_TTL: '0.001' });
+    stubOrigin({ '/redirects.json': getRedirects('/new') });
+    await fetchPage('https://site.test/old', env);
+    await wait(5);
+    stubOrigin({ '/redirects.json': new Response('Error', { status: 500 }) });
+    const resp = await fetchPage('https://site.test/old', env);
+    assert.equal(resp.headers.get('location'), 'https://site.test/new');
+  });
+
+  it('Uses the rows of a refresh once origin answered', async () => {
+    const env = getEnv({ SHEET_TTL: '0.001' });
+    stubOrigin({ '/redirects.json': getRedirects('/new') });
+    await fetchPage('https://site.test/old', env);
+    await wait(5);
+    stubOrigin({ '/redirects.json': getRedirects('/newer') });
+    const stale = await fetchPage('https://site.test/old', env);
+    assert.equal(stale.headers.get('location'), 'https://site.test/new');
+    const fresh = await fetchPage('https://site.test/old', env);
+    assert.equal(fresh.headers.get('location'), 'https://site.test/newer');
+  });
+});
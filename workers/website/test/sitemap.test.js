@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fetchPage,
+  getEnv,
+  sheet,
+  stubOrigin,
+} from './stubs.js';
+
+const INDEX = [
+  { path: '/', lastModified: '1735689600' },
+  { path: '/about', lastModified: '1735689600' },
+  { path: '/de/about', lastModified: 'never' },
+  { path: '/fr/contact' },
+  { path: '/search', robots: 'noindex, nofollow' },
+  { path: '/drafts/about' },
+];
+
+const getSitemap = async (path, vars, init) => {
+  stubOrigin({ '/query-index.json': sheet(INDEX) });
+  const resp = await fetchPage(`https://site.test${path}`, getEnv(vars), init);
+  return { resp, xml: await resp.text() };
+};
+
+describe('Sitemaps', () => {
+  it('Lists a sitemap per locale', async () => {
+    const { resp, xml } = await getSitemap('/sitemap.xml');
+    assert.match(resp.headers.get('content-type'), /^application\/xml/);
+    const locs = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map(([, loc]) => loc);
+    assert.deepEqual(locs, [
+      'https://site.test/sitemap-en.xml',
+      'https://site.test/sitemap-de.xml',
+      'https://site.test/sitemap-fr.xml',
+    ]);
+  });
+
+  it('Lists the visible pages of a locale', async () => {
+    const { xml } = await getSitemap('/sitemap-en.xml');
+    const locs = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map(([, loc]) => loc);
+    assert.deepEqual(locs, ['https://site.test/', 'https://site.test/about']);
+    assert.ok(xml.includes('<lastmod>2025-01-01</lastmod>'));
+  });
+
+  it('Links the pages of other locales', async () => {
+    const { xml } = await getSitemap('/sitemap-de.xml');
+    assert.ok(xml.includes('<loc>https://site.test/de/about</loc>\n    <xhtml:link'));
+    assert.ok(xml.includes('hreflang="en" href="https://site.test/about"'));
+    assert.ok(xml.includes('hreflang="de" href="https://site.test/de/about"'));
+    assert.ok(xml.includes('hreflang="x-default" href="https://site.test/about"'));
+    assert.ok(!xml.includes('<lastmod>'));
+  });
+
+  it('Leaves pages without alternates alone', async () => {
+    const { xml } = await getSitemap('/sitemap-fr.xml');
+    assert.ok(xml.includes('<loc>https://site.test/fr/contact</loc>'));
+    assert.ok(!xml.includes('hreflang'));
+  });
+
+  it('Leaves out protected pages for every visitor', async () => {
+    const rules = [{ path: '/about', action: 'ip', allow: '203.0.113.7' }];
+    const vars = { ACCESS_RULES: JSON.stringify(rules) };
+    const headers = { 'cf-connecting-ip': '203.0.113.7' };
+    const { resp, xml } = await getSitemap('/sitemap-en.xml', vars, { headers });
+    assert.ok(!xml.includes('<loc>https://site.test/about</loc>'));
+    assert.match(resp.headers.get('cache-control'), /^public/);
+  });
+
+  it('Can be disabled', async () => {
+    const { resp } = await getSitemap('/sitemap.xml', { SITEMAP: 'disabled' });
+    assert.equal(resp.status, 404);
+  });
+});
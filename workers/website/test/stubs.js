@@ -0,0 +1,239 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* global globalThis */
+
+import worker from '../index.js';
+
+// Elements without an end tag
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr'];
+
+// Elements holding text that is not parsed for tags
+const RAW_TAGS = ['script', 'style', 'template', 'textarea'];
+
+const TOKEN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+const ATTR = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const escapeHtml = (str) => str.replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const parseAttrs = (str) => new Map([...str.matchAll(ATTR)]
+  .map(([, name, dq, sq, bare]) => [name.toLowerCase(), dq ?? sq ?? bare ?? '']));
+
+/**
+ * Parse a selector of tags, [attr], [attr="value"] and [attr*="value"]
+ * joined by descendant combinators, the ones the worker uses.
+ */
+const parseSelector = (selector) => selector.trim().split(/\s+/).map((compound) => ({
+  tag: compound.match(/^[a-z][\w-]*/i)?.[0].toLowerCase(),
+  attrs: [...compound.matchAll(/\[([\w-]+)(?:([*]?=)"([^"]*)")?\]/g)]
+    .map(([, name, op, value]) => ({ name, op, value })),
+}));
+
+const matchesCompound = ({ tag, attrs }, el) => (!tag || tag === el.tag) && attrs
+  .every(({ name, op, value }) => {
+    const actual = el.attrs.get(name);
+    if (actual === undefined) return false;
+    if (op === '=') return actual === value;
+    if (op === '*=') return actual.includes(value);
+    return true;
+  });
+
+const matches = (compounds, el, ancestors) => {
+  if (!matchesCompound(compounds.at(-1), el)) return false;
+  let idx = ancestors.length;
+  return compounds.slice(0, -1).reverse().every((compound) => {
+    do idx -= 1; while (idx >= 0 && !matchesCompound(compound, ancestors[idx]));
+    return idx >= 0;
+  });
+};
+
+const getContent = (content, opts) => (opts?.html ? content : escapeHtml(content));
+
+const createElement = (tag, attrStr) => {
+  const el = { tag, attrs: parseAttrs(attrStr), changed: false, appended: [], after: [] };
+  el.api = {
+    tagName: tag,
+    getAttribute: (name) => el.attrs.get(name.toLowerCase()) ?? null,
+    hasAttribute: (name) => el.attrs.has(name.toLowerCase()),
+    setAttribute: (name, value) => {
+      el.attrs.set(name.toLowerCase(), `${value}`);
+      el.changed = true;
+    },
+    append: (content, opts) => { el.appended.push(getContent(content, opts)); },
+    after: (content, opts) => { el.after.unshift(getContent(content, opts)); },
+  };
+  return el;
+};
+
+const serializeTag = (el) => {
+  const attrs = [...el.attrs].map(([name, value]) => ` ${name}="${value.replaceAll('"', '&quot;')}"`);
+  return `<${el.tag}${attrs.join('')}>`;
+};
+
+/**
+ * Enough of the Workers HTMLRewriter, which Node does not have, for the worker's
+ * element handlers: attributes, append and after, sync or async.
+ */
+globalThis.HTMLRewriter = class {
+  constructor() {
+    this.handlers = [];
+  }
+
+  on(selector, handler) {
+    this.handlers.push({ compounds: parseSelector(selector), handler });
+    return this;
+  }
+
+  async rewrite(html) {
+    let out = '';
+    let last = 0;
+    const stack = [];
+    const close = (el) => { out += `${el.appended.join('')}</${el.tag}>${el.after.join('')}`; };
+
+    // Handlers may rewrite other documents while this one waits
+    const tokens = new RegExp(TOKEN);
+    let token = tokens.exec(html);
+    while (token) {
+      const [raw, slash, name] = token;
+      const tag = name?.toLowerCase();
+      out += html.slice(last, token.index);
+      last = tokens.lastIndex;
+
+      if (!tag) {
+        out += raw;
+      } else if (slash) {
+        const idx = stack.findLastIndex((el) => el.tag === tag);
+        if (idx === -1) {
+          out += raw;
+        } else {
+          stack.splice(idx).reverse().forEach(close);
+        }
+      } else {
+        const el = createElement(tag, token[3]);
+        for (const { compounds, handler } of this.handlers) {
+          if (handler.element && matches(compounds, el, stack)) await handler.element(el.api);
+        }
+        out += el.changed ? serializeTag(el) : raw;
+        if (VOID_TAGS.includes(tag)) {
+          out += el.after.join('');
+        } else if (RAW_TAGS.includes(tag)) {
+          const end = html.toLowerCase().indexOf(`</${tag}`, last);
+          const stop = end === -1 ? html.length : end;
+          out += html.slice(last, stop);
+          last = stop;
+          tokens.lastIndex = stop;
+          stack.push(el);
+        } else {
+          stack.push(el);
+        }
+      }
+      token = tokens.exec(html);
+    }
+    out += html.slice(last);
+    stack.reverse().forEach(close);
+    return out;
+  }
+
+  transform(resp) {
+    if (!resp.body) return resp;
+    const body = resp.text().then((html) => this.rewrite(html));
+    return new Response(new ReadableStream({
+      async start(controller) {
+        controller.enqueue(new TextEncoder().encode(await body));
+        controller.close();
+      },
+    }), resp);
+  }
+};
+
+// The Workers cache API, which Node does not have either
+const stores = new Map();
+globalThis.caches = {
+  open: async (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const store = stores.get(name);
+    return {
+      match: async (key) => store.get(`${key}`)?.clone(),
+      put: async (key, resp) => { store.set(`${key}`, resp); },
+    };
+  },
+};
+
+let count = 0;
+
+/**
+ * Get a worker environment with its own origin.
+ * Sheets are cached per origin, so each test gets a fresh hostname.
+ * @param {Object} vars the worker vars
+ * @returns {Object} the environment
+ */
+export const getEnv = (vars = {}) => {
+  count += 1;
+  return { ORIGIN_HOSTNAME: `origin-${count}.test`, ...vars };
+};
+
+/**
+ * Get a worker context that keeps what it was asked to wait for.
+ * @returns {Object} the context, settled() waits for the background work
+ */
+export const getCtx = () => {
+  const pending = [];
+  return {
+    waitUntil: (promise) => { pending.push(promise); },
+    settled: () => Promise.allSettled(pending),
+  };
+};
+
+/**
+ * Answer origin requests locally.
+ * @param {Object} routes responses (or functions returning them) by origin path
+ * @returns {Array} the requests origin received
+ */
+export const stubOrigin = (routes = {}) => {
+  const requests = [];
+  globalThis.fetch = async (input, init) => {
+    const req = new Request(input, init);
+    // Cloudflare options are not part of the standard Request
+    req.cf = init?.cf;
+    requests.push(req);
+    const route = routes[new URL(req.url).pathname];
+    if (!route) return new Response('Not Found', { status: 404 });
+    return typeof route === 'function' ? route(req) : route.clone();
+  };
+  return requests;
+};
+
+/**
+ * Request a page from the worker.
+ * @param {String} href the page url
+ * @param {Object} env the worker environment
+ * @param {Object} init the request options, with cf for Cloudflare's properties (ex: country)
+ * @param {Object} ctx the worker context
+ * @returns {Promise<Response>} the worker response
+ */
+export const fetchPage = (href, env, init, ctx = getCtx()) => {
+  const req = new Request(href, init);
+  req.cf = init?.cf;
+  return worker.fetch(req, env, ctx);
+};
+
+/**
+ * Answer with a sheet from origin.
+ * @param {Array} data the rows
+ * @returns {Response} the sheet response
+ */
+export const sheet = (data) => new Response(
+  JSON.stringify({ total: data.length, offset: 0, limit: data.length, data }),
+  { headers: { 'content-type': 'application/json' } },
+);
+
+export const HTML = { 'content-type': 'text/html' };